@@ -1,46 +1,259 @@
-import React, { useState, useEffect } from 'react';
-import { Hash, Plus, Trash2, Edit, Check, X, Search, Users, BookOpen, GraduationCap, Calendar, Shield, AlertCircle, Loader } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Hash, Plus, Trash2, Edit, Check, X, Search, Users, BookOpen, GraduationCap, Calendar, Shield, AlertCircle, Loader, RotateCcw, BarChart3, Upload, Download, Printer, LogOut, UserCog, Lock, ArrowRightLeft } from 'lucide-react';
 import axios from 'axios';
 
 // API Base URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Token from the last sign-in, sent with every API request
+const TOKEN_KEY = 'bams_token';
+
+const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+    axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+setAuthToken(localStorage.getItem(TOKEN_KEY));
+
+// The server answers errors with { code, message, fieldErrors? }
+const errorMessage = (error) => error.response?.data?.message || error.message;
+
+// What a form shows for a failed request: the message, and the errors of
+// each field next to its input
+const formError = (error) => ({
+  message: errorMessage(error),
+  fieldErrors: error.response?.data?.fieldErrors || {}
+});
+
 // API Service
 const api = {
+  // Auth
+  login: (data) => axios.post(`${API_URL}/auth/login`, data),
+  getMe: () => axios.get(`${API_URL}/auth/me`),
+
+  // Users
+  getUsers: () => axios.get(`${API_URL}/users`),
+  createUser: (data) => axios.post(`${API_URL}/users`, data),
+  updateUser: (id, data) => axios.put(`${API_URL}/users/${id}`, data),
+  deleteUser: (id) => axios.delete(`${API_URL}/users/${id}`),
+
   // Departments
-  getDepartments: () => axios.get(`${API_URL}/departments`),
+  getDepartments: (params) => axios.get(`${API_URL}/departments`, { params }),
   createDepartment: (data) => axios.post(`${API_URL}/departments`, data),
   updateDepartment: (id, data) => axios.put(`${API_URL}/departments/${id}`, data),
   deleteDepartment: (id) => axios.delete(`${API_URL}/departments/${id}`),
+  restoreDepartment: (id) => axios.post(`${API_URL}/departments/${id}/restore`),
   
   // Classes
-  getClasses: (deptId) => axios.get(`${API_URL}/classes`, { params: { deptId } }),
+  getClasses: (params) => axios.get(`${API_URL}/classes`, { params }),
   createClass: (data) => axios.post(`${API_URL}/classes`, data),
   updateClass: (id, data) => axios.put(`${API_URL}/classes/${id}`, data),
   deleteClass: (id) => axios.delete(`${API_URL}/classes/${id}`),
+  restoreClass: (id) => axios.post(`${API_URL}/classes/${id}/restore`),
   
   // Students
   getStudents: (params) => axios.get(`${API_URL}/students`, { params }),
   createStudent: (data) => axios.post(`${API_URL}/students`, data),
   updateStudent: (id, data) => axios.put(`${API_URL}/students/${id}`, data),
   deleteStudent: (id) => axios.delete(`${API_URL}/students/${id}`),
+  restoreStudent: (id) => axios.post(`${API_URL}/students/${id}/restore`),
+  transferStudent: (id, data) => axios.post(`${API_URL}/students/${id}/transfer`, data),
+  importStudents: (csv, commit) => axios.post(`${API_URL}/import/students`, csv, {
+    params: { commit },
+    headers: { 'Content-Type': 'text/csv' }
+  }),
   
   // Attendance
   markAttendance: (data) => axios.post(`${API_URL}/attendance`, data),
+  markBulkAttendance: (data) => axios.post(`${API_URL}/attendance/bulk`, data),
+  correctAttendance: (data) => axios.post(`${API_URL}/attendance/corrections`, data),
   getStudentAttendance: (studentId) => axios.get(`${API_URL}/attendance/${studentId}`),
   
+  // Sessions
+  getSessions: (classId) => axios.get(`${API_URL}/sessions`, { params: { classId } }),
+  createSession: (data) => axios.post(`${API_URL}/sessions`, data),
+  deleteSession: (id) => axios.delete(`${API_URL}/sessions/${id}`),
+
+  // Statuses
+  getStatuses: () => axios.get(`${API_URL}/statuses`),
+
+  // Reports
+  getReport: (scope, id, params) => axios.get(`${API_URL}/reports/${scope}/${id}`, { params }),
+  getDefaulters: (params) => axios.get(`${API_URL}/reports/defaulters`, { params }),
+  getRegister: (classId, month) => axios.get(`${API_URL}/reports/register/${classId}`, { params: { month } }),
+
+  // Export
+  exportAttendance: (params) => axios.get(`${API_URL}/export/attendance`, { params, responseType: 'blob' }),
+
   // Validation
-  validateAll: () => axios.get(`${API_URL}/validate`)
+  validateAll: () => axios.get(`${API_URL}/validate`),
+
+  // Config
+  getConfig: () => axios.get(`${API_URL}/config`)
+};
+
+// Tailwind classes for each status colour an admin can configure
+const STATUS_COLORS = {
+  green: { badge: 'bg-green-100 text-green-800', button: 'bg-green-500 hover:bg-green-600', row: 'bg-green-50 border-green-300' },
+  red: { badge: 'bg-red-100 text-red-800', button: 'bg-red-500 hover:bg-red-600', row: 'bg-red-50 border-red-300' },
+  yellow: { badge: 'bg-yellow-100 text-yellow-800', button: 'bg-yellow-500 hover:bg-yellow-600', row: 'bg-yellow-50 border-yellow-300' },
+  blue: { badge: 'bg-blue-100 text-blue-800', button: 'bg-blue-500 hover:bg-blue-600', row: 'bg-blue-50 border-blue-300' },
+  purple: { badge: 'bg-purple-100 text-purple-800', button: 'bg-purple-500 hover:bg-purple-600', row: 'bg-purple-50 border-purple-300' },
+  gray: { badge: 'bg-gray-100 text-gray-800', button: 'bg-gray-500 hover:bg-gray-600', row: 'bg-gray-50 border-gray-300' }
 };
 
+const getStatus = (statuses, code) =>
+  statuses.find(s => s.code === code) || { code, label: code, attended: false, reason: 'none', color: 'gray' };
+
+const statusColors = (status) => STATUS_COLORS[status.color] || STATUS_COLORS.gray;
+
+const formatSession = (session) => `${session.subject} (${session.startTime}–${session.endTime})`;
+
+const describeSignature = (block) => {
+  const signature = block.transactions.signature;
+  return signature ? `Signed by ${signature.signedBy} • key ${signature.keyId}` : 'Unsigned';
+};
+
+// YYYY-MM-DD for today (UTC, matching the server) shifted by `offsetDays`
+const isoDate = (offsetDays = 0) =>
+  new Date(Date.now() + offsetDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+// Replaces the item with the same id, or appends it
+const upsertById = (items, item) =>
+  items.some(i => i.id === item.id) ? items.map(i => (i.id === item.id ? item : i)) : [...items, item];
+
+// Lists are loaded without blockchains; blockCount is the length of the chain
+const SUMMARY_FIELDS = 'id,name,rollNo,deptId,classId,deleted,deletedBy,deletedAt,createdAt,blockCount';
+const PAGE_SIZE = 24;
+
+// A saved record in list form: its blockchain is replaced by blockCount
+const summarize = ({ blockchain, ...record }) =>
+  blockchain ? { ...record, blockCount: blockchain.chain.length } : record;
+
+// Whether a record belongs in a list loaded with the given query
+const matchesQuery = (query, record) => {
+  const needle = (query.q || '').toLowerCase();
+  return Boolean(record.deleted) === Boolean(query.deleted) &&
+    (!query.deptId || record.deptId === query.deptId) &&
+    (!query.classId || record.classId === query.classId) &&
+    (!needle || record.name.toLowerCase().includes(needle) || (record.rollNo || '').toLowerCase().includes(needle));
+};
+
+// Loads a list endpoint page by page. A new query starts again from the first
+// page; loadMore appends the next one. Saved records are applied in place and
+// refresh reloads the pages already shown, so "Load more" progress survives edits.
+function usePagedList(load, query, enabled) {
+  const [page, setPage] = useState({ items: [], nextCursor: null, total: 0 });
+  const [loadingPage, setLoadingPage] = useState(false);
+  const queryKey = JSON.stringify(query);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    // Waits for typing in the search box to pause
+    const timer = setTimeout(async () => {
+      setLoadingPage(true);
+      try {
+        const response = await load({ ...JSON.parse(queryKey), limit: PAGE_SIZE });
+        if (!cancelled) setPage(response.data);
+      } catch (error) {
+        console.error('Error loading list:', error);
+      } finally {
+        if (!cancelled) setLoadingPage(false);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [load, queryKey, enabled]);
+
+  const loadMore = async () => {
+    setLoadingPage(true);
+    try {
+      const response = await load({ ...query, limit: PAGE_SIZE, cursor: page.nextCursor });
+      setPage(current => ({ ...response.data, items: [...current.items, ...response.data.items] }));
+    } catch (error) {
+      console.error('Error loading list:', error);
+    } finally {
+      setLoadingPage(false);
+    }
+  };
+
+  const refresh = async () => {
+    if (!enabled) return;
+    setLoadingPage(true);
+    try {
+      let loaded = { items: [], nextCursor: null, total: 0 };
+      do {
+        const response = await load({ ...query, limit: PAGE_SIZE, cursor: loaded.nextCursor || undefined });
+        loaded = { ...response.data, items: [...loaded.items, ...response.data.items] };
+      } while (loaded.nextCursor && loaded.items.length < page.items.length);
+      setPage(loaded);
+    } catch (error) {
+      console.error('Error loading list:', error);
+    } finally {
+      setLoadingPage(false);
+    }
+  };
+
+  // Loaded items are replaced, new matches are shown first and items that no
+  // longer match drop out
+  const apply = (records) => {
+    setPage(current => records.reduce(({ items, total, ...rest }, record) => {
+      const known = items.some(item => item.id === record.id);
+      if (matchesQuery(query, record)) {
+        return known
+          ? { ...rest, items: items.map(item => (item.id === record.id ? record : item)), total }
+          : { ...rest, items: [record, ...items], total: total + 1 };
+      }
+      return known
+        ? { ...rest, items: items.filter(item => item.id !== record.id), total: total - 1 }
+        : { ...rest, items, total };
+    }, current));
+  };
+
+  return { ...page, loadingPage, loadMore, refresh, apply };
+}
+
+// Loads the live students of one class, ordered by roll number
+function useClassRoster(classId) {
+  const [roster, setRoster] = useState([]);
+
+  useEffect(() => {
+    if (!classId) {
+      setRoster([]);
+      return;
+    }
+    let cancelled = false;
+    api.getStudents({ classId, deleted: false, sort: 'rollNo', fields: SUMMARY_FIELDS })
+      .then(response => { if (!cancelled) setRoster(response.data); })
+      .catch(error => console.error('Error loading class:', error));
+    return () => { cancelled = true; };
+  }, [classId]);
+
+  return roster;
+}
+
 export default function BAMS() {
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(Boolean(localStorage.getItem(TOKEN_KEY)));
+  const [users, setUsers] = useState([]);
   const [departments, setDepartments] = useState([]);
   const [classes, setClasses] = useState([]);
-  const [students, setStudents] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [config, setConfig] = useState({ backdateWindowDays: 0, minAttendancePercent: 75 });
   const [loading, setLoading] = useState(false);
   
   const [activeTab, setActiveTab] = useState('departments');
   const [searchTerm, setSearchTerm] = useState('');
+  const [sortOrder, setSortOrder] = useState('name');
   const [selectedDept, setSelectedDept] = useState(null);
   const [selectedClass, setSelectedClass] = useState(null);
   const [selectedStudent, setSelectedStudent] = useState(null);
@@ -48,171 +261,417 @@ export default function BAMS() {
   const [showAddDept, setShowAddDept] = useState(false);
   const [showAddClass, setShowAddClass] = useState(false);
   const [showAddStudent, setShowAddStudent] = useState(false);
+  const [showImportStudents, setShowImportStudents] = useState(false);
+  const [showAddUser, setShowAddUser] = useState(false);
+  const [sessionsClass, setSessionsClass] = useState(null);
+  const [transferringStudent, setTransferringStudent] = useState(null);
   const [editingItem, setEditingItem] = useState(null);
 
-  // Load data
+  const [validationResults, setValidationResults] = useState(null);
+  const [validating, setValidating] = useState(false);
+  const [validationAlert, setValidationAlert] = useState(null);
+
+  // Restore the session saved by the last sign-in
+  useEffect(() => {
+    if (!localStorage.getItem(TOKEN_KEY)) return;
+    api.getMe()
+      .then(response => {
+        setActiveTab(response.data.role === 'admin' ? 'departments' : 'attendance');
+        setUser(response.data);
+        return loadReferenceData();
+      })
+      .catch(() => setAuthToken(null))
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  // An expired or revoked token sends the user back to the login screen
   useEffect(() => {
-    loadAllData();
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && localStorage.getItem(TOKEN_KEY)) {
+          setAuthToken(null);
+          setUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // The paged lists of each collection, assigned on every render so saved
+  // records reach the lists for the current query
+  const pagedLists = useRef({ departments: [], classes: [], students: [] });
+
+  // Shows saved records in the department and class pickers and in the paged
+  // lists without reloading them
+  const applySaved = useCallback((collection, records) => {
+    const summaries = records.map(summarize);
+    if (collection === 'departments') setDepartments(items => summaries.reduce(upsertById, items));
+    if (collection === 'classes') setClasses(items => summaries.reduce(upsertById, items));
+    (pagedLists.current[collection] || []).forEach(list => list.apply(summaries));
   }, []);
 
-  const loadAllData = async () => {
+  // Live updates: the server pushes every saved department, class and student
+  // the user can see, and failed validations to staff
+  useEffect(() => {
+    if (!user) return;
+    const token = localStorage.getItem(TOKEN_KEY);
+    const source = new EventSource(`${API_URL}/events?token=${encodeURIComponent(token)}`);
+
+    source.addEventListener('record', event => {
+      const { collection, changes } = JSON.parse(event.data);
+      const records = changes.map(({ record }) => record);
+      applySaved(collection, records);
+      // A new object for the open student reloads their attendance history
+      if (collection === 'students') {
+        setSelectedStudent(selected => records.find(record => record.id === selected?.id) || selected);
+      }
+    });
+    source.addEventListener('validation', event => {
+      const failure = JSON.parse(event.data);
+      // Whoever ran the validation already has the results open
+      if (failure.checkedBy !== user.username) setValidationAlert(failure);
+    });
+
+    return () => source.close();
+  }, [user, applySaved]);
+
+  // Departments and classes are loaded in full for pickers and names; students
+  // are only ever loaded a page or a class at a time
+  const loadReferenceData = async () => {
     setLoading(true);
     try {
-      const [deptsRes, classesRes, studentsRes] = await Promise.all([
-        api.getDepartments(),
-        api.getClasses(),
-        api.getStudents()
+      const [deptsRes, classesRes, statusesRes, sessionsRes, configRes] = await Promise.all([
+        api.getDepartments({ fields: SUMMARY_FIELDS }),
+        api.getClasses({ fields: SUMMARY_FIELDS }),
+        api.getStatuses(),
+        api.getSessions(),
+        api.getConfig()
       ]);
       setDepartments(deptsRes.data);
       setClasses(classesRes.data);
-      setStudents(studentsRes.data);
+      setStatuses(statusesRes.data);
+      setSessions(sessionsRes.data);
+      setConfig(configRes.data);
     } catch (error) {
       console.error('Error loading data:', error);
-      alert('Failed to load data. Please check if backend is running on port 5000.');
+      if (error.response?.status !== 401) {
+        alert('Failed to load data. Please check if backend is running on port 5000.');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  // Session
+  const login = async (username, password) => {
+    const response = await api.login({ username, password });
+    setAuthToken(response.data.token);
+    setActiveTab(response.data.user.role === 'admin' ? 'departments' : 'attendance');
+    setUser(response.data.user);
+    await loadReferenceData();
+  };
+
+  const logout = () => {
+    setAuthToken(null);
+    setUser(null);
+    setSelectedStudent(null);
+    setValidationResults(null);
+  };
+
+  // User operations
+  const loadUsers = async () => {
+    try {
+      const response = await api.getUsers();
+      setUsers(response.data);
+    } catch (error) {
+      alert('Error loading users: ' + errorMessage(error));
+    }
+  };
+
+  const addUser = async (data) => {
+    try {
+      await api.createUser(data);
+      await loadUsers();
+      setShowAddUser(false);
+      return null;
+    } catch (error) {
+      return formError(error);
+    }
+  };
+
+  const resetPassword = async (account) => {
+    const password = window.prompt(`New password for ${account.username} (at least 8 characters):`);
+    if (!password) return;
+    try {
+      await api.updateUser(account.id, { password });
+      alert(`Password for ${account.username} updated.`);
+    } catch (error) {
+      alert('Error updating password: ' + errorMessage(error));
+    }
+  };
+
+  const deleteUser = async (account) => {
+    if (!window.confirm(`Delete the account ${account.username}? They will no longer be able to sign in.`)) return;
+    try {
+      await api.deleteUser(account.id);
+      await loadUsers();
+    } catch (error) {
+      alert('Error deleting user: ' + errorMessage(error));
+    }
+  };
+
   // Department operations
   const addDepartment = async (name) => {
     try {
-      await api.createDepartment({ name });
-      await loadAllData();
+      const response = await api.createDepartment({ name });
+      applySaved('departments', [response.data]);
       setShowAddDept(false);
+      return null;
     } catch (error) {
-      alert('Error adding department: ' + error.message);
+      return formError(error);
     }
   };
 
   const updateDepartment = async (id, name) => {
     try {
-      await api.updateDepartment(id, { name });
-      await loadAllData();
+      const response = await api.updateDepartment(id, { name });
+      applySaved('departments', [response.data]);
       setEditingItem(null);
     } catch (error) {
-      alert('Error updating department: ' + error.message);
+      alert('Error updating department: ' + errorMessage(error));
     }
   };
 
+  // Deleting or restoring a department or class also changes the records below it
+  const reloadSubtree = async () => {
+    const [deptsRes, classesRes] = await Promise.all([
+      api.getDepartments({ fields: SUMMARY_FIELDS }),
+      api.getClasses({ fields: SUMMARY_FIELDS }),
+      ...Object.values(pagedLists.current).flat().map(list => list.refresh())
+    ]);
+    setDepartments(deptsRes.data);
+    setClasses(classesRes.data);
+  };
+
   const deleteDepartment = async (id) => {
-    if (!window.confirm('Are you sure? This will add a deletion block to the blockchain.')) return;
+    if (!window.confirm('Are you sure? This will add a deletion block to the department and to every class and student under it.')) return;
+    try {
+      const response = await api.deleteDepartment(id);
+      applySaved('departments', [response.data]);
+      await reloadSubtree();
+    } catch (error) {
+      alert('Error deleting department: ' + errorMessage(error));
+    }
+  };
+
+  const restoreDepartment = async (id) => {
     try {
-      await api.deleteDepartment(id);
-      await loadAllData();
+      const { restored, ...dept } = (await api.restoreDepartment(id)).data;
+      applySaved('departments', [dept]);
+      await reloadSubtree();
     } catch (error) {
-      alert('Error deleting department: ' + error.message);
+      alert('Error restoring department: ' + errorMessage(error));
     }
   };
 
   // Class operations
   const addClass = async (name, deptId) => {
     try {
-      await api.createClass({ name, deptId });
-      await loadAllData();
+      const response = await api.createClass({ name, deptId });
+      applySaved('classes', [response.data]);
       setShowAddClass(false);
+      return null;
     } catch (error) {
-      alert('Error adding class: ' + error.message);
+      return formError(error);
     }
   };
 
   const updateClass = async (id, name) => {
     try {
-      await api.updateClass(id, { name });
-      await loadAllData();
+      const response = await api.updateClass(id, { name });
+      applySaved('classes', [response.data]);
       setEditingItem(null);
     } catch (error) {
-      alert('Error updating class: ' + error.message);
+      alert('Error updating class: ' + errorMessage(error));
     }
   };
 
   const deleteClass = async (id) => {
-    if (!window.confirm('Are you sure? This will add a deletion block to the blockchain.')) return;
+    if (!window.confirm('Are you sure? This will add a deletion block to the class and to every student in it.')) return;
+    try {
+      const response = await api.deleteClass(id);
+      applySaved('classes', [response.data]);
+      await reloadSubtree();
+    } catch (error) {
+      alert('Error deleting class: ' + errorMessage(error));
+    }
+  };
+
+  const restoreClass = async (id) => {
+    try {
+      const { restored, ...cls } = (await api.restoreClass(id)).data;
+      applySaved('classes', [cls]);
+      await reloadSubtree();
+    } catch (error) {
+      alert('Error restoring class: ' + errorMessage(error));
+    }
+  };
+
+  // Session operations
+  const addSession = async (data) => {
+    try {
+      const response = await api.createSession(data);
+      setSessions(items => upsertById(items, response.data));
+      return null;
+    } catch (error) {
+      return formError(error);
+    }
+  };
+
+  const deleteSession = async (id) => {
+    if (!window.confirm('Remove this session? This will add a block to the class blockchain.')) return;
     try {
-      await api.deleteClass(id);
-      await loadAllData();
+      const response = await api.deleteSession(id);
+      setSessions(items => upsertById(items, response.data));
     } catch (error) {
-      alert('Error deleting class: ' + error.message);
+      alert('Error removing session: ' + errorMessage(error));
     }
   };
 
   // Student operations
   const addStudent = async (name, rollNo, deptId, classId) => {
     try {
-      await api.createStudent({ name, rollNo, deptId, classId });
-      await loadAllData();
+      const response = await api.createStudent({ name, rollNo, deptId, classId });
+      applySaved('students', [response.data]);
       setShowAddStudent(false);
+      return null;
     } catch (error) {
-      alert('Error adding student: ' + error.message);
+      return formError(error);
     }
   };
 
   const updateStudent = async (id, updates) => {
     try {
-      await api.updateStudent(id, updates);
-      await loadAllData();
+      const response = await api.updateStudent(id, updates);
+      applySaved('students', [response.data]);
       setEditingItem(null);
     } catch (error) {
-      alert('Error updating student: ' + error.message);
+      alert('Error updating student: ' + errorMessage(error));
     }
   };
 
   const deleteStudent = async (id) => {
     if (!window.confirm('Are you sure? This will add a deletion block to the blockchain.')) return;
     try {
-      await api.deleteStudent(id);
-      await loadAllData();
+      const response = await api.deleteStudent(id);
+      applySaved('students', [response.data]);
+    } catch (error) {
+      alert('Error deleting student: ' + errorMessage(error));
+    }
+  };
+
+  const transferStudent = async (id, data) => {
+    try {
+      const response = await api.transferStudent(id, data);
+      applySaved('students', [response.data]);
+      setTransferringStudent(null);
+      return null;
     } catch (error) {
-      alert('Error deleting student: ' + error.message);
+      return formError(error);
+    }
+  };
+
+  const restoreStudent = async (id) => {
+    try {
+      const response = await api.restoreStudent(id);
+      applySaved('students', [response.data]);
+    } catch (error) {
+      alert('Error restoring student: ' + errorMessage(error));
     }
   };
 
   // Attendance operations
-  const markAttendance = async (studentId, status) => {
+  const markAttendance = async (studentId, status, reason, sessionId, date) => {
     try {
-      await api.markAttendance({ studentId, status });
-      await loadAllData();
+      const response = await api.markAttendance({ studentId, status, reason, sessionId, date });
+      applySaved('students', [response.data.student]);
+      setSelectedStudent(selected => (selected?.id === studentId ? summarize(response.data.student) : selected));
       alert(`Attendance marked as ${status}! Block added to blockchain.`);
     } catch (error) {
-      alert('Error marking attendance: ' + error.message);
+      alert('Error marking attendance: ' + errorMessage(error));
+    }
+  };
+
+  const correctAttendance = async (studentId, originalHash, status, reason) => {
+    try {
+      const response = await api.correctAttendance({ studentId, originalHash, status, reason });
+      applySaved('students', [response.data.student]);
+      setSelectedStudent(selected => (selected?.id === studentId ? summarize(response.data.student) : selected));
+      alert(`Attendance corrected to ${status}! Correction block added to blockchain.`);
+    } catch (error) {
+      alert('Error correcting attendance: ' + errorMessage(error));
+    }
+  };
+
+  const markBulkAttendance = async (classId, records, sessionId, date) => {
+    try {
+      const response = await api.markBulkAttendance({ classId, sessionId, date, records });
+      alert(`Attendance saved for ${response.data.count} students! Blocks added to blockchain.`);
+      return true;
+    } catch (error) {
+      alert('Error marking attendance: ' + errorMessage(error));
+      return false;
     }
   };
 
   // Validation
   const validateSystem = async () => {
+    setActiveTab('validation');
+    setSearchTerm('');
+    setValidating(true);
     try {
       const response = await api.validateAll();
-      const results = response.data;
-      
-      if (results.overall) {
-        alert('✅ All blockchains are valid!');
-      } else {
-        alert('❌ Validation failed! Check console for details.');
-      }
-      console.log('Validation Results:', results);
+      setValidationResults(response.data);
     } catch (error) {
-      alert('Error validating system: ' + error.message);
+      alert('Error validating system: ' + errorMessage(error));
+    } finally {
+      setValidating(false);
     }
   };
 
-  // Filtering
-  const filteredDepartments = departments.filter(d => 
-    !d.deleted && d.name.toLowerCase().includes(searchTerm.toLowerCase())
+  // Filtering (departments, classes and students are searched, sorted and paged on the server)
+  const listQuery = { q: searchTerm, sort: sortOrder, deleted: false, fields: SUMMARY_FIELDS };
+  const departmentList = usePagedList(api.getDepartments, listQuery,
+    Boolean(user) && activeTab === 'departments');
+  const classList = usePagedList(api.getClasses, { ...listQuery, deptId: selectedDept },
+    Boolean(user) && activeTab === 'classes');
+  // The attendance picker lists every student the user can see
+  const studentList = usePagedList(api.getStudents,
+    activeTab === 'students' ? { ...listQuery, deptId: selectedDept, classId: selectedClass } : listQuery,
+    Boolean(user) && ['students', 'attendance'].includes(activeTab));
+  const trashList = usePagedList(api.getStudents, { ...listQuery, deleted: true },
+    Boolean(user) && activeTab === 'trash');
+  pagedLists.current = { departments: [departmentList], classes: [classList], students: [studentList, trashList] };
+
+  const filteredUsers = users.filter(u =>
+    u.username.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  const filteredClasses = classes.filter(c => 
-    !c.deleted && 
-    (!selectedDept || c.deptId === selectedDept) &&
-    c.name.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const isAdmin = user?.role === 'admin';
 
-  const filteredStudents = students.filter(s => 
-    !s.deleted &&
-    (!selectedDept || s.deptId === selectedDept) &&
-    (!selectedClass || s.classId === selectedClass) &&
-    (s.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-     s.rollNo.toLowerCase().includes(searchTerm.toLowerCase()))
-  );
+  if (checkingSession) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center">
+        <Loader className="w-12 h-12 text-indigo-600 animate-spin" />
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginScreen onLogin={login} />;
+  }
 
   if (loading) {
     return (
@@ -229,7 +688,7 @@ export default function BAMS() {
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="container mx-auto p-6">
         {/* Header */}
-        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6 print:hidden">
           <div className="flex items-center justify-between">
             <div className="flex items-center gap-3">
               <Shield className="w-10 h-10 text-indigo-600" />
@@ -238,30 +697,69 @@ export default function BAMS() {
                 <p className="text-gray-600">Secure • Immutable • Hierarchical</p>
               </div>
             </div>
+            <div className="flex items-center gap-3">
+              {user.role !== 'student' && (
+                <button
+                  onClick={validateSystem}
+                  className="flex items-center gap-2 bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 transition-colors"
+                >
+                  <Shield className="w-5 h-5" />
+                  Validate Chains
+                </button>
+              )}
+              <div className="text-right">
+                <p className="font-medium text-gray-800">{user.username}</p>
+                <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+              </div>
+              <button
+                onClick={logout}
+                className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                title="Sign out"
+              >
+                <LogOut className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {validationAlert && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 flex items-center gap-3 print:hidden">
+            <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+            <p className="flex-1 text-red-800">
+              Chain validation failed ({validationAlert.invalid.departments} departments, {validationAlert.invalid.classes} classes, {validationAlert.invalid.students} students invalid) • checked by {validationAlert.checkedBy} at {new Date(validationAlert.timestamp).toLocaleTimeString()}
+            </p>
             <button
-              onClick={validateSystem}
-              className="flex items-center gap-2 bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 transition-colors"
+              onClick={() => { setValidationAlert(null); validateSystem(); }}
+              className="text-sm text-red-700 font-medium hover:underline"
             >
-              <Shield className="w-5 h-5" />
-              Validate Chains
+              Review
+            </button>
+            <button onClick={() => setValidationAlert(null)} className="p-1 text-red-600 hover:bg-red-100 rounded" title="Dismiss">
+              <X className="w-4 h-4" />
             </button>
           </div>
-        </div>
+        )}
 
         {/* Navigation Tabs */}
         <div className="bg-white rounded-lg shadow-lg mb-6">
-          <div className="flex border-b">
+          <div className="flex border-b print:hidden">
             {[
-              { id: 'departments', label: 'Departments', icon: BookOpen },
-              { id: 'classes', label: 'Classes', icon: Users },
-              { id: 'students', label: 'Students', icon: GraduationCap },
-              { id: 'attendance', label: 'Attendance', icon: Calendar }
-            ].map(tab => (
+              { id: 'departments', label: 'Departments', icon: BookOpen, roles: ['admin'] },
+              { id: 'classes', label: 'Classes', icon: Users, roles: ['admin', 'teacher'] },
+              { id: 'students', label: 'Students', icon: GraduationCap, roles: ['admin', 'teacher'] },
+              { id: 'attendance', label: 'Attendance', icon: Calendar, roles: ['admin', 'teacher', 'student'] },
+              { id: 'reports', label: 'Reports', icon: BarChart3, roles: ['admin', 'teacher'] },
+              { id: 'validation', label: 'Validation', icon: Shield, roles: ['admin', 'teacher'] },
+              { id: 'trash', label: 'Trash', icon: Trash2, roles: ['admin'] },
+              { id: 'users', label: 'Users', icon: UserCog, roles: ['admin'] }
+            ].filter(tab => tab.roles.includes(user.role)).map(tab => (
               <button
                 key={tab.id}
                 onClick={() => {
                   setActiveTab(tab.id);
                   setSearchTerm('');
+                  setSortOrder('name');
+                  if (tab.id === 'users') loadUsers();
                 }}
                 className={`flex items-center gap-2 px-6 py-4 font-medium transition-colors ${
                   activeTab === tab.id
@@ -276,7 +774,7 @@ export default function BAMS() {
           </div>
 
           {/* Search Bar */}
-          <div className="p-4 border-b bg-gray-50">
+          <div className="p-4 border-b bg-gray-50 print:hidden">
             <div className="flex gap-3">
               <div className="flex-1 relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-5 h-5" />
@@ -288,7 +786,19 @@ export default function BAMS() {
                   className="w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-indigo-500 focus:outline-none"
                 />
               </div>
-              {activeTab === 'departments' && (
+              {['departments', 'classes', 'students'].includes(activeTab) && (
+                <select
+                  value={sortOrder}
+                  onChange={(e) => setSortOrder(e.target.value)}
+                  className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                >
+                  <option value="name">Name A–Z</option>
+                  <option value="-name">Name Z–A</option>
+                  {activeTab === 'students' && <option value="rollNo">Roll number</option>}
+                  <option value="-createdAt">Newest first</option>
+                </select>
+              )}
+              {isAdmin && activeTab === 'departments' && (
                 <button
                   onClick={() => setShowAddDept(true)}
                   className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
@@ -297,7 +807,7 @@ export default function BAMS() {
                   Add Department
                 </button>
               )}
-              {activeTab === 'classes' && (
+              {isAdmin && activeTab === 'classes' && (
                 <button
                   onClick={() => setShowAddClass(true)}
                   className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
@@ -307,7 +817,7 @@ export default function BAMS() {
                   Add Class
                 </button>
               )}
-              {activeTab === 'students' && (
+              {isAdmin && activeTab === 'students' && (
                 <button
                   onClick={() => setShowAddStudent(true)}
                   className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
@@ -317,6 +827,25 @@ export default function BAMS() {
                   Add Student
                 </button>
               )}
+              {isAdmin && activeTab === 'students' && (
+                <button
+                  onClick={() => setShowImportStudents(true)}
+                  className="flex items-center gap-2 bg-white border text-indigo-600 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors"
+                  disabled={classes.length === 0}
+                >
+                  <Upload className="w-5 h-5" />
+                  Import CSV
+                </button>
+              )}
+              {activeTab === 'users' && (
+                <button
+                  onClick={() => setShowAddUser(true)}
+                  className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors"
+                >
+                  <Plus className="w-5 h-5" />
+                  Add User
+                </button>
+              )}
             </div>
           </div>
 
@@ -324,30 +853,35 @@ export default function BAMS() {
           <div className="p-6">
             {activeTab === 'departments' && (
               <DepartmentsView
-                departments={filteredDepartments}
+                departments={departmentList.items}
                 onUpdate={updateDepartment}
                 onDelete={deleteDepartment}
                 editingItem={editingItem}
                 setEditingItem={setEditingItem}
               />
             )}
+            {activeTab === 'departments' && <LoadMoreButton list={departmentList} />}
 
             {activeTab === 'classes' && (
               <ClassesView
-                classes={filteredClasses}
+                classes={classList.items}
                 departments={departments}
                 selectedDept={selectedDept}
                 setSelectedDept={setSelectedDept}
                 onUpdate={updateClass}
                 onDelete={deleteClass}
+                sessions={sessions}
+                onManageSessions={setSessionsClass}
+                canManage={isAdmin}
                 editingItem={editingItem}
                 setEditingItem={setEditingItem}
               />
             )}
+            {activeTab === 'classes' && <LoadMoreButton list={classList} />}
 
             {activeTab === 'students' && (
               <StudentsView
-                students={filteredStudents}
+                students={studentList.items}
                 departments={departments}
                 classes={classes}
                 selectedDept={selectedDept}
@@ -356,20 +890,71 @@ export default function BAMS() {
                 setSelectedClass={setSelectedClass}
                 onUpdate={updateStudent}
                 onDelete={deleteStudent}
+                onTransfer={setTransferringStudent}
                 onSelectStudent={setSelectedStudent}
+                canManage={isAdmin}
                 editingItem={editingItem}
                 setEditingItem={setEditingItem}
               />
             )}
+            {activeTab === 'students' && <LoadMoreButton list={studentList} />}
 
             {activeTab === 'attendance' && (
               <AttendanceView
-                students={students}
+                studentList={studentList}
                 departments={departments}
                 classes={classes}
+                statuses={statuses}
+                sessions={sessions}
+                backdateWindowDays={config.backdateWindowDays}
                 selectedStudent={selectedStudent}
                 onMarkAttendance={markAttendance}
+                onMarkBulkAttendance={markBulkAttendance}
+                onCorrectAttendance={correctAttendance}
                 setSelectedStudent={setSelectedStudent}
+                readOnly={user.role === 'student'}
+              />
+            )}
+
+            {activeTab === 'reports' && (
+              <ReportsView
+                departments={departments}
+                classes={classes}
+                statuses={statuses}
+                minAttendancePercent={config.minAttendancePercent}
+                isAdmin={isAdmin}
+              />
+            )}
+
+            {activeTab === 'validation' && (
+              <ValidationView
+                results={validationResults}
+                validating={validating}
+                searchTerm={searchTerm}
+                onValidate={validateSystem}
+              />
+            )}
+
+            {activeTab === 'trash' && (
+              <TrashView
+                departments={departments}
+                classes={classes}
+                students={trashList.items}
+                searchTerm={searchTerm}
+                onRestoreDepartment={restoreDepartment}
+                onRestoreClass={restoreClass}
+                onRestoreStudent={restoreStudent}
+              />
+            )}
+            {activeTab === 'trash' && <LoadMoreButton list={trashList} />}
+
+            {activeTab === 'users' && (
+              <UsersView
+                users={filteredUsers}
+                classes={classes}
+                currentUserId={user.id}
+                onResetPassword={resetPassword}
+                onDelete={deleteUser}
               />
             )}
           </div>
@@ -399,6 +984,45 @@ export default function BAMS() {
             onClose={() => setShowAddStudent(false)}
           />
         )}
+
+        {showImportStudents && (
+          <ImportStudentsModal
+            onImported={async () => {
+              setShowImportStudents(false);
+              await Promise.all(pagedLists.current.students.map(list => list.refresh()));
+            }}
+            onClose={() => setShowImportStudents(false)}
+          />
+        )}
+
+        {showAddUser && (
+          <AddUserModal
+            departments={departments}
+            classes={classes}
+            onAdd={addUser}
+            onClose={() => setShowAddUser(false)}
+          />
+        )}
+
+        {transferringStudent && (
+          <TransferStudentModal
+            student={transferringStudent}
+            departments={departments}
+            classes={classes}
+            onTransfer={transferStudent}
+            onClose={() => setTransferringStudent(null)}
+          />
+        )}
+
+        {sessionsClass && (
+          <SessionsModal
+            cls={sessionsClass}
+            sessions={sessions.filter(s => s.classId === sessionsClass.id && !s.deleted)}
+            onAdd={addSession}
+            onDelete={deleteSession}
+            onClose={() => setSessionsClass(null)}
+          />
+        )}
       </div>
     </div>
   );
@@ -474,7 +1098,7 @@ function DepartmentsView({ departments, onUpdate, onDelete, editingItem, setEdit
           <div className="text-xs text-gray-500 space-y-1">
             <p className="flex items-center gap-1">
               <Hash className="w-3 h-3" />
-              Blocks: {dept.blockchain?.chain?.length || 1}
+              Blocks: {dept.blockCount || 1}
             </p>
             <p className="truncate">ID: {dept.id}</p>
           </div>
@@ -484,7 +1108,23 @@ function DepartmentsView({ departments, onUpdate, onDelete, editingItem, setEdit
   );
 }
 
-function ClassesView({ classes, departments, selectedDept, setSelectedDept, onUpdate, onDelete, editingItem, setEditingItem }) {
+function LoadMoreButton({ list }) {
+  if (!list.nextCursor) return null;
+
+  return (
+    <div className="text-center mt-6 print:hidden">
+      <button
+        onClick={list.loadMore}
+        disabled={list.loadingPage}
+        className="bg-indigo-50 text-indigo-600 px-4 py-2 rounded-lg hover:bg-indigo-100 transition-colors disabled:opacity-50"
+      >
+        {list.loadingPage ? 'Loading...' : `Load more (${list.items.length} of ${list.total})`}
+      </button>
+    </div>
+  );
+}
+
+function ClassesView({ classes, departments, selectedDept, setSelectedDept, onUpdate, onDelete, sessions, onManageSessions, canManage, editingItem, setEditingItem }) {
   const [editName, setEditName] = useState('');
 
   const startEdit = (cls) => {
@@ -545,35 +1185,49 @@ function ClassesView({ classes, departments, selectedDept, setSelectedDept, onUp
                   </div>
                   <p className="text-xs text-gray-500">{getDeptName(cls.deptId)}</p>
                 </div>
-                <div className="flex gap-1">
-                  {editingItem === cls.id ? (
-                    <>
-                      <button onClick={() => saveEdit(cls.id)} className="p-1 text-green-600 hover:bg-green-50 rounded">
-                        <Check className="w-4 h-4" />
-                      </button>
-                      <button onClick={() => setEditingItem(null)} className="p-1 text-red-600 hover:bg-red-50 rounded">
-                        <X className="w-4 h-4" />
-                      </button>
-                    </>
-                  ) : (
-                    <>
-                      <button onClick={() => startEdit(cls)} className="p-1 text-blue-600 hover:bg-blue-50 rounded">
-                        <Edit className="w-4 h-4" />
-                      </button>
-                      <button onClick={() => onDelete(cls.id)} className="p-1 text-red-600 hover:bg-red-50 rounded">
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    </>
-                  )}
-                </div>
+                {canManage && (
+                  <div className="flex gap-1">
+                    {editingItem === cls.id ? (
+                      <>
+                        <button onClick={() => saveEdit(cls.id)} className="p-1 text-green-600 hover:bg-green-50 rounded">
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => setEditingItem(null)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startEdit(cls)} className="p-1 text-blue-600 hover:bg-blue-50 rounded">
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => onDelete(cls.id)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="text-xs text-gray-500 space-y-1">
                 <p className="flex items-center gap-1">
                   <Hash className="w-3 h-3" />
-                  Blocks: {cls.blockchain?.chain?.length || 1}
+                  Blocks: {cls.blockCount || 1}
                 </p>
                 <p className="truncate">ID: {cls.id}</p>
               </div>
+              {canManage ? (
+                <button
+                  onClick={() => onManageSessions(cls)}
+                  className="w-full mt-2 bg-indigo-50 text-indigo-600 px-3 py-1 rounded text-sm hover:bg-indigo-100 transition-colors"
+                >
+                  Sessions ({sessions.filter(s => s.classId === cls.id && !s.deleted).length})
+                </button>
+              ) : (
+                <p className="mt-2 text-xs text-gray-500">
+                  Sessions: {sessions.filter(s => s.classId === cls.id && !s.deleted).map(formatSession).join(', ') || 'none'}
+                </p>
+              )}
             </div>
           ))}
         </div>
@@ -582,7 +1236,7 @@ function ClassesView({ classes, departments, selectedDept, setSelectedDept, onUp
   );
 }
 
-function StudentsView({ students, departments, classes, selectedDept, setSelectedDept, selectedClass, setSelectedClass, onUpdate, onDelete, onSelectStudent, editingItem, setEditingItem }) {
+function StudentsView({ students, departments, classes, selectedDept, setSelectedDept, selectedClass, setSelectedClass, onUpdate, onDelete, onTransfer, onSelectStudent, canManage, editingItem, setEditingItem }) {
   const [editData, setEditData] = useState({ name: '', rollNo: '' });
 
   const startEdit = (student) => {
@@ -670,32 +1324,37 @@ function StudentsView({ students, departments, classes, selectedDept, setSelecte
                   </p>
                   <p className="text-xs text-gray-500">{getDeptName(student.deptId)} • {getClassName(student.classId)}</p>
                 </div>
-                <div className="flex gap-1">
-                  {editingItem === student.id ? (
-                    <>
-                      <button onClick={() => saveEdit(student.id)} className="p-1 text-green-600 hover:bg-green-50 rounded">
-                        <Check className="w-4 h-4" />
-                      </button>
-                      <button onClick={() => setEditingItem(null)} className="p-1 text-red-600 hover:bg-red-50 rounded">
-                        <X className="w-4 h-4" />
-                      </button>
-                    </>
-                  ) : (
-                    <>
-                      <button onClick={() => startEdit(student)} className="p-1 text-blue-600 hover:bg-blue-50 rounded">
-                        <Edit className="w-4 h-4" />
-                      </button>
-                      <button onClick={() => onDelete(student.id)} className="p-1 text-red-600 hover:bg-red-50 rounded">
-                        <Trash2 className="w-4 h-4" />
-                      </button>
-                    </>
-                  )}
-                </div>
+                {canManage && (
+                  <div className="flex gap-1">
+                    {editingItem === student.id ? (
+                      <>
+                        <button onClick={() => saveEdit(student.id)} className="p-1 text-green-600 hover:bg-green-50 rounded">
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => setEditingItem(null)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button onClick={() => startEdit(student)} className="p-1 text-blue-600 hover:bg-blue-50 rounded">
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => onTransfer(student)} className="p-1 text-indigo-600 hover:bg-indigo-50 rounded" title="Transfer">
+                          <ArrowRightLeft className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => onDelete(student.id)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
               </div>
               <div className="text-xs text-gray-500 mb-2">
                 <p className="flex items-center gap-1">
                   <Hash className="w-3 h-3" />
-                  Blocks: {student.blockchain?.chain?.length || 1}
+                  Blocks: {student.blockCount || 1}
                 </p>
               </div>
               <button
@@ -712,9 +1371,15 @@ function StudentsView({ students, departments, classes, selectedDept, setSelecte
   );
 }
 
-function AttendanceView({ students, departments, classes, selectedStudent, onMarkAttendance, setSelectedStudent }) {
-  const [attendanceRecords, setAttendanceRecords] = useState([]);
+function AttendanceView({ studentList, departments, classes, statuses, sessions, backdateWindowDays, selectedStudent, onMarkAttendance, onMarkBulkAttendance, onCorrectAttendance, setSelectedStudent, readOnly }) {
+  const [sessionGroups, setSessionGroups] = useState([]);
+  const [transfers, setTransfers] = useState([]);
+  const [sessionId, setSessionId] = useState('');
+  const [date, setDate] = useState(isoDate());
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('student');
+  const [correcting, setCorrecting] = useState(null);
+  const [correction, setCorrection] = useState({ status: '', reason: '' });
 
   useEffect(() => {
     if (selectedStudent) {
@@ -727,7 +1392,8 @@ function AttendanceView({ students, departments, classes, selectedStudent, onMar
     setLoading(true);
     try {
       const response = await api.getStudentAttendance(selectedStudent.id);
-      setAttendanceRecords(response.data);
+      setSessionGroups(response.data.sessions);
+      setTransfers(response.data.transfers);
     } catch (error) {
       console.error('Error loading attendance:', error);
     } finally {
@@ -738,28 +1404,99 @@ function AttendanceView({ students, departments, classes, selectedStudent, onMar
   const getDeptName = (deptId) => departments.find(d => d.id === deptId)?.name || 'Unknown';
   const getClassName = (classId) => classes.find(c => c.id === classId)?.name || 'Unknown';
 
-  const activeStudents = students.filter(s => !s.deleted);
+  const studentSessions = selectedStudent
+    ? sessions.filter(s => s.classId === selectedStudent.classId && !s.deleted)
+    : [];
+
+  const markStatus = (status) => {
+    let reason;
+    if (status.reason !== 'none') {
+      reason = window.prompt(`Reason for ${status.label}${status.reason === 'optional' ? ' (optional)' : ''}:`);
+      if (reason === null) return;
+      reason = reason.trim();
+      if (status.reason === 'required' && !reason) {
+        alert(`A reason is required for ${status.label}.`);
+        return;
+      }
+    }
+    onMarkAttendance(selectedStudent.id, status.code, reason || undefined, sessionId || undefined, date);
+  };
+
+  const startCorrection = (record) => {
+    const other = statuses.find(s => s.code !== record.status);
+    setCorrecting(record.block.hash);
+    setCorrection({ status: (other || statuses[0]).code, reason: '' });
+  };
+
+  const submitCorrection = (e) => {
+    e.preventDefault();
+    if (!correction.reason.trim()) return;
+    onCorrectAttendance(selectedStudent.id, correcting, correction.status, correction.reason.trim());
+    setCorrecting(null);
+  };
 
   if (!selectedStudent) {
     return (
       <div>
-        <h3 className="text-lg font-semibold mb-4">Select a student to mark attendance</h3>
-        <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-          {activeStudents.map(student => (
-            <div
-              key={student.id}
-              onClick={() => setSelectedStudent(student)}
-              className="bg-white border rounded-lg p-4 shadow-sm hover:shadow-md cursor-pointer transition-all hover:border-indigo-400"
+        <div className={`flex gap-2 mb-4 print:hidden ${readOnly ? 'hidden' : ''}`}>
+          {[
+            { id: 'student', label: 'By Student' },
+            { id: 'roster', label: 'Class Roster' },
+            { id: 'register', label: 'Monthly Register' }
+          ].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setMode(option.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                mode === option.id
+                  ? 'bg-indigo-600 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
             >
-              <div className="flex items-center gap-2 mb-2">
-                <GraduationCap className="w-5 h-5 text-indigo-600" />
-                <h3 className="font-semibold text-gray-800">{student.name}</h3>
-              </div>
-              <p className="text-sm text-gray-600">Roll: {student.rollNo}</p>
-              <p className="text-xs text-gray-500">{getDeptName(student.deptId)} • {getClassName(student.classId)}</p>
-            </div>
+              {option.label}
+            </button>
           ))}
         </div>
+
+        {mode === 'roster' ? (
+          <RosterGrid
+            departments={departments}
+            classes={classes}
+            statuses={statuses}
+            sessions={sessions}
+            backdateWindowDays={backdateWindowDays}
+            onSubmit={onMarkBulkAttendance}
+          />
+        ) : mode === 'register' ? (
+          <RegisterView
+            departments={departments}
+            classes={classes}
+            statuses={statuses}
+          />
+        ) : (
+          <>
+            <h3 className="text-lg font-semibold mb-4">
+              {readOnly ? 'Select a student to view attendance' : 'Select a student to mark attendance'}
+            </h3>
+            <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+              {studentList.items.map(student => (
+                <div
+                  key={student.id}
+                  onClick={() => setSelectedStudent(student)}
+                  className="bg-white border rounded-lg p-4 shadow-sm hover:shadow-md cursor-pointer transition-all hover:border-indigo-400"
+                >
+                  <div className="flex items-center gap-2 mb-2">
+                    <GraduationCap className="w-5 h-5 text-indigo-600" />
+                    <h3 className="font-semibold text-gray-800">{student.name}</h3>
+                  </div>
+                  <p className="text-sm text-gray-600">Roll: {student.rollNo}</p>
+                  <p className="text-xs text-gray-500">{getDeptName(student.deptId)} • {getClassName(student.classId)}</p>
+                </div>
+              ))}
+            </div>
+            <LoadMoreButton list={studentList} />
+          </>
+        )}
       </div>
     );
   }
@@ -773,19 +1510,40 @@ function AttendanceView({ students, departments, classes, selectedStudent, onMar
             <p className="text-sm text-gray-600">Roll: {selectedStudent.rollNo}</p>
             <p className="text-xs text-gray-500">{getDeptName(selectedStudent.deptId)} • {getClassName(selectedStudent.classId)}</p>
           </div>
-          <div className="flex gap-2">
-            <button
-              onClick={() => onMarkAttendance(selectedStudent.id, 'Present')}
-              className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 transition-colors"
-            >
-              Mark Present
-            </button>
-            <button
-              onClick={() => onMarkAttendance(selectedStudent.id, 'Absent')}
-              className="bg-red-500 text-white px-4 py-2 rounded-lg hover:bg-red-600 transition-colors"
-            >
-              Mark Absent
-            </button>
+          <div className="flex flex-wrap gap-2 justify-end">
+            {!readOnly && (
+              <>
+                <input
+                  type="date"
+                  value={date}
+                  min={isoDate(-backdateWindowDays)}
+                  max={isoDate()}
+                  onChange={(e) => setDate(e.target.value)}
+                  className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                />
+                {studentSessions.length > 0 && (
+                  <select
+                    value={sessionId}
+                    onChange={(e) => setSessionId(e.target.value)}
+                    className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                  >
+                    <option value="">No session</option>
+                    {studentSessions.map(session => (
+                      <option key={session.id} value={session.id}>{formatSession(session)}</option>
+                    ))}
+                  </select>
+                )}
+                {statuses.map(status => (
+                  <button
+                    key={status.code}
+                    onClick={() => markStatus(status)}
+                    className={`text-white px-4 py-2 rounded-lg transition-colors ${statusColors(status).button}`}
+                  >
+                    Mark {status.label}
+                  </button>
+                ))}
+              </>
+            )}
             <button
               onClick={() => setSelectedStudent(null)}
               className="bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition-colors"
@@ -796,48 +1554,1173 @@ function AttendanceView({ students, departments, classes, selectedStudent, onMar
         </div>
       </div>
 
+      {transfers.length > 0 && (
+        <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 mb-6 text-sm text-indigo-800 space-y-1">
+          {transfers.map(transfer => (
+            <p key={transfer.timestamp} className="flex items-center gap-2">
+              <ArrowRightLeft className="w-4 h-4 flex-shrink-0" />
+              Moved from {getClassName(transfer.fromClassId)} ({getDeptName(transfer.fromDeptId)}) to {getClassName(transfer.toClassId)} ({getDeptName(transfer.toDeptId)}) on {new Date(transfer.timestamp).toLocaleString()}
+              {transfer.reason && <span className="text-indigo-600">• {transfer.reason}</span>}
+            </p>
+          ))}
+        </div>
+      )}
+
       <h4 className="text-lg font-semibold mb-4">Attendance History</h4>
       {loading ? (
         <div className="text-center py-12">
           <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
           <p className="text-gray-500">Loading attendance records...</p>
         </div>
-      ) : attendanceRecords.length === 0 ? (
+      ) : sessionGroups.length === 0 ? (
         <div className="text-center py-12">
           <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
           <p className="text-gray-500">No attendance records found.</p>
         </div>
       ) : (
-        <div className="space-y-3">
-          {attendanceRecords.map((block, index) => (
-            <div key={index} className="bg-white border rounded-lg p-4">
-              <div className="flex items-start justify-between">
-                <div className="flex-1">
+        <div className="space-y-6">
+          {sessionGroups.map(group => (
+            <div key={group.sessionId || 'none'}>
+              <h5 className="flex items-center gap-2 font-medium text-gray-700 mb-2">
+                <Calendar className="w-4 h-4 text-indigo-600" />
+                {group.sessionId ? formatSession(group) : 'No session'}
+                {group.teacher && <span className="text-sm text-gray-500">• {group.teacher}</span>}
+                <span className="text-sm text-gray-500">({group.records.length})</span>
+              </h5>
+              <div className="space-y-3">
+                {group.records.map(record => (
+                  <div key={record.block.hash} className="bg-white border rounded-lg p-4">
+                    <div className="flex items-start justify-between">
+                      <div className="flex-1">
+                        <div className="flex items-center gap-2 mb-2">
+                          <span className={`px-3 py-1 rounded-full text-sm font-medium ${statusColors(getStatus(statuses, record.status)).badge}`}>
+                            {getStatus(statuses, record.status).label}
+                          </span>
+                          <span className="text-sm text-gray-600">{record.date}</span>
+                          {record.corrected && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                              Corrected
+                            </span>
+                          )}
+                          {record.block.transactions.backdated && (
+                            <span className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                              Backdated • entered {record.block.transactions.enteredOn}
+                            </span>
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500 space-y-1">
+                          <p className="flex items-center gap-1">
+                            <Hash className="w-3 h-3" />
+                            Block #{record.block.index} • Originally {getStatus(statuses, record.block.transactions.status).label}
+                          </p>
+                          {record.block.transactions.reason && <p>Reason: {record.block.transactions.reason}</p>}
+                          <p className="truncate">Hash: {record.block.hash}</p>
+                          <p className="truncate">Previous: {record.block.prev_hash}</p>
+                          <p>Nonce: {record.block.nonce}{record.block.difficulty ? ` • Difficulty: ${record.block.difficulty}` : ''}</p>
+                          <p>{describeSignature(record.block)}</p>
+                        </div>
+
+                        {record.corrections.length > 0 && (
+                          <div className="mt-3 border-l-2 border-yellow-300 pl-3 space-y-2">
+                            {record.corrections.map(block => (
+                              <div key={block.hash} className="text-xs text-gray-500">
+                                <p className="text-sm text-gray-700">
+                                  {getStatus(statuses, block.transactions.previousStatus).label} → {getStatus(statuses, block.transactions.status).label}: {block.transactions.reason}
+                                </p>
+                                <p className="flex items-center gap-1">
+                                  <Hash className="w-3 h-3" />
+                                  Block #{block.index} • {new Date(block.transactions.timestamp).toLocaleString()}
+                                </p>
+                                <p>{describeSignature(block)}</p>
+                                <p className="truncate">Hash: {block.hash}</p>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        {correcting === record.block.hash && (
+                          <form onSubmit={submitCorrection} className="mt-3 flex gap-2">
+                            <select
+                              value={correction.status}
+                              onChange={(e) => setCorrection({ ...correction, status: e.target.value })}
+                              className="border rounded px-2 py-1 text-sm"
+                            >
+                              {statuses.map(status => (
+                                <option key={status.code} value={status.code}>{status.label}</option>
+                              ))}
+                            </select>
+                            <input
+                              type="text"
+                              value={correction.reason}
+                              onChange={(e) => setCorrection({ ...correction, reason: e.target.value })}
+                              placeholder="Reason for correction"
+                              className="flex-1 border rounded px-2 py-1 text-sm"
+                              autoFocus
+                              required
+                            />
+                            <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded">
+                              <Check className="w-4 h-4" />
+                            </button>
+                            <button type="button" onClick={() => setCorrecting(null)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                              <X className="w-4 h-4" />
+                            </button>
+                          </form>
+                        )}
+                      </div>
+                      {!readOnly && correcting !== record.block.hash && (
+                        <button onClick={() => startCorrection(record)} className="p-1 text-blue-600 hover:bg-blue-50 rounded" title="Correct">
+                          <Edit className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RosterGrid({ departments, classes, statuses, sessions, backdateWindowDays, onSubmit }) {
+  const [deptId, setDeptId] = useState('');
+  const [classId, setClassId] = useState('');
+  const [sessionId, setSessionId] = useState('');
+  const [date, setDate] = useState(isoDate());
+  const [marks, setMarks] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const activeDepts = departments.filter(d => !d.deleted);
+  const filteredClasses = classes.filter(c => !c.deleted && c.deptId === deptId);
+  const roster = useClassRoster(classId);
+  const quickStatuses = statuses.filter(s => s.reason === 'none');
+  const defaultStatus = (quickStatuses[0] || statuses[0])?.code;
+
+  // Everyone starts with the default status once the class has loaded
+  useEffect(() => {
+    const initial = {};
+    roster.forEach(s => { initial[s.id] = { status: defaultStatus, reason: '' }; });
+    setMarks(initial);
+  }, [roster, defaultStatus]);
+
+  const classSessions = sessions.filter(s => s.classId === classId && !s.deleted);
+
+  const selectClass = (id) => {
+    setClassId(id);
+    if (id !== classId) setSessionId('');
+  };
+
+  const setAll = (status) => {
+    const updated = {};
+    roster.forEach(s => { updated[s.id] = { status, reason: '' }; });
+    setMarks(updated);
+  };
+
+  const updateMark = (studentId, changes) => {
+    setMarks({ ...marks, [studentId]: { ...marks[studentId], ...changes } });
+  };
+
+  const missingReason = roster.some(s =>
+    getStatus(statuses, marks[s.id]?.status).reason === 'required' && !marks[s.id]?.reason.trim()
+  );
+
+  const handleSubmit = async () => {
+    const records = {};
+    roster.forEach(s => {
+      const { status, reason } = marks[s.id];
+      records[s.id] = reason.trim() ? { status, reason: reason.trim() } : status;
+    });
+    setSubmitting(true);
+    const saved = await onSubmit(classId, records, sessionId || undefined, date);
+    setSubmitting(false);
+    if (saved) selectClass(classId);
+  };
+
+  const attendedCount = roster.filter(s => getStatus(statuses, marks[s.id]?.status).attended).length;
+
+  return (
+    <div>
+      <div className="mb-4 flex gap-3">
+        <select
+          value={deptId}
+          onChange={(e) => {
+            setDeptId(e.target.value);
+            selectClass('');
+          }}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        >
+          <option value="">Select Department</option>
+          {activeDepts.map(dept => (
+            <option key={dept.id} value={dept.id}>{dept.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={classId}
+          onChange={(e) => selectClass(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+          disabled={!deptId}
+        >
+          <option value="">Select Class</option>
+          {filteredClasses.map(cls => (
+            <option key={cls.id} value={cls.id}>{cls.name}</option>
+          ))}
+        </select>
+
+        {classSessions.length > 0 && (
+          <select
+            value={sessionId}
+            onChange={(e) => setSessionId(e.target.value)}
+            className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+          >
+            <option value="">No session</option>
+            {classSessions.map(session => (
+              <option key={session.id} value={session.id}>{formatSession(session)}</option>
+            ))}
+          </select>
+        )}
+
+        <input
+          type="date"
+          value={date}
+          min={isoDate(-backdateWindowDays)}
+          max={isoDate()}
+          onChange={(e) => setDate(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+      </div>
+
+      {!classId ? (
+        <div className="text-center py-12">
+          <Users className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">Select a class to take attendance for the whole roster.</p>
+        </div>
+      ) : roster.length === 0 ? (
+        <div className="text-center py-12">
+          <GraduationCap className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">No students found in this class.</p>
+        </div>
+      ) : (
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <p className="text-sm text-gray-600">
+              {attendedCount} of {roster.length} attending
+            </p>
+            <div className="flex gap-2">
+              {quickStatuses.map(status => (
+                <button
+                  key={status.code}
+                  onClick={() => setAll(status.code)}
+                  className={`px-3 py-1 rounded text-sm transition-colors ${statusColors(status).badge}`}
+                >
+                  All {status.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid gap-2 md:grid-cols-2 lg:grid-cols-3 mb-6">
+            {roster.map(student => {
+              const mark = marks[student.id] || { status: defaultStatus, reason: '' };
+              const status = getStatus(statuses, mark.status);
+              return (
+                <div
+                  key={student.id}
+                  className={`border rounded-lg px-4 py-2 transition-colors ${statusColors(status).row}`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <div>
+                      <p className="font-medium text-gray-800">{student.name}</p>
+                      <p className="text-xs text-gray-500">Roll: {student.rollNo}</p>
+                    </div>
+                    <select
+                      value={mark.status}
+                      onChange={(e) => updateMark(student.id, { status: e.target.value })}
+                      className="border rounded px-2 py-1 text-sm bg-white"
+                    >
+                      {statuses.map(option => (
+                        <option key={option.code} value={option.code}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {status.reason !== 'none' && (
+                    <input
+                      type="text"
+                      value={mark.reason}
+                      onChange={(e) => updateMark(student.id, { reason: e.target.value })}
+                      placeholder={status.reason === 'required' ? 'Reason (required)' : 'Reason (optional)'}
+                      className="w-full border rounded px-2 py-1 text-xs mt-2"
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <button
+            onClick={handleSubmit}
+            disabled={submitting || missingReason}
+            className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+          >
+            {submitting ? <Loader className="w-5 h-5 animate-spin" /> : <Check className="w-5 h-5" />}
+            Submit Attendance
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const formatPercentage = (percentage) => (percentage === null ? '—' : `${percentage}%`);
+
+function ReportsView({ departments, classes, statuses, minAttendancePercent, isAdmin }) {
+  const [mode, setMode] = useState('summary');
+  const [scope, setScope] = useState(isAdmin ? 'departments' : 'classes');
+  const [deptId, setDeptId] = useState('');
+  const [classId, setClassId] = useState('');
+  const [studentId, setStudentId] = useState('');
+  const [from, setFrom] = useState(isoDate(-30));
+  const [to, setTo] = useState(isoDate());
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [includeHash, setIncludeHash] = useState(false);
+
+  const activeDepts = departments.filter(d => !d.deleted);
+  const filteredClasses = classes.filter(c => !c.deleted && c.deptId === deptId);
+  const filteredStudents = useClassRoster(scope === 'students' ? classId : '');
+
+  const targetId = { departments: deptId, classes: classId, students: studentId }[scope];
+
+  const generate = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getReport(scope, targetId, { from: from || undefined, to: to || undefined });
+      setReport({ scope, ...response.data });
+    } catch (error) {
+      alert('Error generating report: ' + errorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const download = async (format) => {
+    try {
+      const response = await api.exportAttendance({
+        classId: scope === 'classes' ? classId : undefined,
+        deptId: scope === 'departments' ? deptId : undefined,
+        from: from || undefined,
+        to: to || undefined,
+        format,
+        includeHash
+      });
+      const fileName = response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `attendance.${format}`;
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      alert('Error exporting attendance: ' + errorMessage(error));
+    }
+  };
+
+  const breakdown = report?.scope === 'departments' ? report.classes : report?.scope === 'classes' ? report.students : null;
+  const title = report && (report.department?.name || report.class?.name || report.student?.name);
+
+  const modeToggle = (
+    <div className="flex gap-2 mb-4">
+      {[
+        { id: 'summary', label: 'Attendance Summary' },
+        { id: 'defaulters', label: 'Defaulters' }
+      ].map(option => (
+        <button
+          key={option.id}
+          onClick={() => setMode(option.id)}
+          className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+            mode === option.id
+              ? 'bg-indigo-600 text-white'
+              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (mode === 'defaulters') {
+    return (
+      <div>
+        {modeToggle}
+        <DefaultersView
+          departments={departments}
+          classes={classes}
+          minAttendancePercent={minAttendancePercent}
+          isAdmin={isAdmin}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {modeToggle}
+      <div className="flex flex-wrap gap-3 mb-6">
+        <select
+          value={scope}
+          onChange={(e) => {
+            setScope(e.target.value);
+            setReport(null);
+          }}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        >
+          {isAdmin && <option value="departments">Department</option>}
+          <option value="classes">Class</option>
+          <option value="students">Student</option>
+        </select>
+
+        <select
+          value={deptId}
+          onChange={(e) => {
+            setDeptId(e.target.value);
+            setClassId('');
+            setStudentId('');
+          }}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        >
+          <option value="">Select Department</option>
+          {activeDepts.map(dept => (
+            <option key={dept.id} value={dept.id}>{dept.name}</option>
+          ))}
+        </select>
+
+        {scope !== 'departments' && (
+          <select
+            value={classId}
+            onChange={(e) => {
+              setClassId(e.target.value);
+              setStudentId('');
+            }}
+            className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+            disabled={!deptId}
+          >
+            <option value="">Select Class</option>
+            {filteredClasses.map(cls => (
+              <option key={cls.id} value={cls.id}>{cls.name}</option>
+            ))}
+          </select>
+        )}
+
+        {scope === 'students' && (
+          <select
+            value={studentId}
+            onChange={(e) => setStudentId(e.target.value)}
+            className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+            disabled={!classId}
+          >
+            <option value="">Select Student</option>
+            {filteredStudents.map(student => (
+              <option key={student.id} value={student.id}>{student.rollNo} • {student.name}</option>
+            ))}
+          </select>
+        )}
+
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+
+        <button
+          onClick={generate}
+          disabled={!targetId || loading}
+          className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          <BarChart3 className="w-5 h-5" />
+          Generate
+        </button>
+      </div>
+
+      {scope !== 'students' && targetId && (
+        <div className="flex items-center gap-3 mb-6">
+          <button
+            onClick={() => download('csv')}
+            className="flex items-center gap-2 bg-white border text-indigo-600 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors"
+          >
+            <Download className="w-5 h-5" />
+            CSV
+          </button>
+          <button
+            onClick={() => download('xlsx')}
+            className="flex items-center gap-2 bg-white border text-indigo-600 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors"
+          >
+            <Download className="w-5 h-5" />
+            Excel
+          </button>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input type="checkbox" checked={includeHash} onChange={(e) => setIncludeHash(e.target.checked)} />
+            Include block hashes
+          </label>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
+          <p className="text-gray-500">Computing attendance...</p>
+        </div>
+      ) : !report ? (
+        <div className="text-center py-12">
+          <BarChart3 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">Pick a department, class or student and a date range.</p>
+        </div>
+      ) : (
+        <div>
+          <div className="bg-white border rounded-lg p-4 mb-6 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+              <p className="text-sm text-gray-600">
+                {report.from || 'Start'} → {report.to || 'Today'} • {report.attended} of {report.total} attended
+              </p>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {Object.entries(report.byStatus).map(([code, count]) => (
+                  <span key={code} className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors(getStatus(statuses, code)).badge}`}>
+                    {getStatus(statuses, code).label}: {count}
+                  </span>
+                ))}
+              </div>
+            </div>
+            <p className="text-3xl font-bold text-indigo-600">{formatPercentage(report.percentage)}</p>
+          </div>
+
+          {breakdown && (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2">{report.scope === 'departments' ? 'Class' : 'Student'}</th>
+                  {report.scope === 'departments' ? <th className="py-2">Students</th> : <th className="py-2">Roll</th>}
+                  <th className="py-2">Attended</th>
+                  <th className="py-2">Total</th>
+                  <th className="py-2">Percentage</th>
+                </tr>
+              </thead>
+              <tbody>
+                {breakdown.map(row => (
+                  <tr key={row.id} className="border-b">
+                    <td className="py-2 text-gray-800">{row.name}</td>
+                    <td className="py-2 text-gray-600">{report.scope === 'departments' ? row.studentCount : row.rollNo}</td>
+                    <td className="py-2 text-gray-600">{row.attended}</td>
+                    <td className="py-2 text-gray-600">{row.total}</td>
+                    <td className="py-2 font-medium text-gray-800">{formatPercentage(row.percentage)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function DefaultersView({ departments, classes, minAttendancePercent, isAdmin }) {
+  const [deptId, setDeptId] = useState('');
+  const [classId, setClassId] = useState('');
+  const [from, setFrom] = useState(isoDate(-30));
+  const [to, setTo] = useState(isoDate());
+  const [threshold, setThreshold] = useState(minAttendancePercent);
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const activeDepts = departments.filter(d => !d.deleted);
+  const filteredClasses = classes.filter(c => !c.deleted && c.deptId === deptId);
+  const getClassName = (id) => classes.find(c => c.id === id)?.name || 'Unknown';
+
+  const search = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getDefaulters({
+        deptId: classId ? undefined : deptId,
+        classId: classId || undefined,
+        from: from || undefined,
+        to: to || undefined,
+        threshold
+      });
+      setResult(response.data);
+    } catch (error) {
+      alert('Error loading defaulters: ' + errorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-6">
+        <select
+          value={deptId}
+          onChange={(e) => {
+            setDeptId(e.target.value);
+            setClassId('');
+          }}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        >
+          <option value="">Select Department</option>
+          {activeDepts.map(dept => (
+            <option key={dept.id} value={dept.id}>{dept.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={classId}
+          onChange={(e) => setClassId(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+          disabled={!deptId}
+        >
+          <option value="">{isAdmin ? 'All Classes' : 'Select Class'}</option>
+          {filteredClasses.map(cls => (
+            <option key={cls.id} value={cls.id}>{cls.name}</option>
+          ))}
+        </select>
+
+        <input
+          type="date"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+        <input
+          type="date"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="w-20 border rounded-lg px-3 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+          />
+          <span className="text-sm text-gray-600">% minimum</span>
+        </div>
+
+        <button
+          onClick={search}
+          disabled={!deptId || (!isAdmin && !classId) || loading}
+          className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          <AlertCircle className="w-5 h-5" />
+          Find Defaulters
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
+          <p className="text-gray-500">Checking attendance...</p>
+        </div>
+      ) : !result ? (
+        <div className="text-center py-12">
+          <AlertCircle className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">Pick a department or class to list students below the threshold.</p>
+        </div>
+      ) : result.defaulters.length === 0 ? (
+        <div className="text-center py-12">
+          <Check className="w-16 h-16 text-green-300 mx-auto mb-4" />
+          <p className="text-gray-500">No student is below {result.threshold}% for this period.</p>
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-2">Roll</th>
+              <th className="py-2">Student</th>
+              <th className="py-2">Class</th>
+              <th className="py-2">Attended</th>
+              <th className="py-2">Percentage</th>
+              <th className="py-2">Sessions needed</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.defaulters.map(row => (
+              <tr key={row.id} className="border-b">
+                <td className="py-2 text-gray-600">{row.rollNo}</td>
+                <td className="py-2 text-gray-800">{row.name}</td>
+                <td className="py-2 text-gray-600">{getClassName(row.classId)}</td>
+                <td className="py-2 text-gray-600">{row.attended} / {row.total}</td>
+                <td className="py-2 font-medium text-red-600">{formatPercentage(row.percentage)}</td>
+                <td className="py-2 text-gray-800">{row.sessionsNeeded === null ? 'Cannot recover' : row.sessionsNeeded}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function RegisterView({ departments, classes, statuses }) {
+  const [deptId, setDeptId] = useState('');
+  const [classId, setClassId] = useState('');
+  const [month, setMonth] = useState(isoDate().slice(0, 7));
+  const [register, setRegister] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [openCell, setOpenCell] = useState(null);
+
+  const activeDepts = departments.filter(d => !d.deleted);
+  const filteredClasses = classes.filter(c => !c.deleted && c.deptId === deptId);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const response = await api.getRegister(classId, month);
+      setRegister(response.data);
+    } catch (error) {
+      alert('Error loading register: ' + errorMessage(error));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-6 print:hidden">
+        <select
+          value={deptId}
+          onChange={(e) => {
+            setDeptId(e.target.value);
+            setClassId('');
+          }}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        >
+          <option value="">Select Department</option>
+          {activeDepts.map(dept => (
+            <option key={dept.id} value={dept.id}>{dept.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={classId}
+          onChange={(e) => setClassId(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+          disabled={!deptId}
+        >
+          <option value="">Select Class</option>
+          {filteredClasses.map(cls => (
+            <option key={cls.id} value={cls.id}>{cls.name}</option>
+          ))}
+        </select>
+
+        <input
+          type="month"
+          value={month}
+          onChange={(e) => setMonth(e.target.value)}
+          className="border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+        />
+
+        <button
+          onClick={load}
+          disabled={!classId || !month || loading}
+          className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50"
+        >
+          <Calendar className="w-5 h-5" />
+          Show Register
+        </button>
+
+        {register && (
+          <button
+            onClick={() => window.print()}
+            className="flex items-center gap-2 bg-white border text-indigo-600 px-4 py-2 rounded-lg hover:bg-indigo-50 transition-colors"
+          >
+            <Printer className="w-5 h-5" />
+            Print
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12">
+          <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
+          <p className="text-gray-500">Loading register...</p>
+        </div>
+      ) : !register ? (
+        <div className="text-center py-12">
+          <Calendar className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500">Pick a class and month to see its attendance register.</p>
+        </div>
+      ) : (
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-1">
+            {activeDepts.find(d => d.id === register.class.deptId)?.name} • {register.class.name}
+          </h3>
+          <p className="text-sm text-gray-600 mb-4">Attendance register for {register.month}</p>
+
+          <div className="overflow-x-auto print:overflow-visible">
+            <table className="text-xs border-collapse">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="border px-2 py-1 text-left">Roll</th>
+                  <th className="border px-2 py-1 text-left">Name</th>
+                  {register.dates.map(date => (
+                    <th key={date} className="border px-1 py-1 w-8 text-center">{Number(date.slice(8))}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {register.students.map(student => (
+                  <tr key={student.id}>
+                    <td className="border px-2 py-1 whitespace-nowrap">{student.rollNo}</td>
+                    <td className="border px-2 py-1 whitespace-nowrap">{student.name}</td>
+                    {register.dates.map(date => {
+                      const records = student.days[date] || [];
+                      return (
+                        <td
+                          key={date}
+                          onClick={() => records.length > 0 && setOpenCell({ student, date, records })}
+                          className={`border px-1 py-1 text-center ${records.length > 0 ? 'cursor-pointer hover:ring-2 hover:ring-indigo-400' : ''} ${
+                            records.length === 1 ? statusColors(getStatus(statuses, records[0].status)).badge : ''
+                          }`}
+                        >
+                          {records.map(record => getStatus(statuses, record.status).abbreviation || record.status).join('/')}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mt-4 text-xs text-gray-600">
+            {statuses.map(status => (
+              <span key={status.code}>
+                <span className={`px-1 rounded ${statusColors(status).badge}`}>{status.abbreviation}</span> {status.label}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {openCell && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 print:hidden">
+          <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+            <h2 className="text-xl font-bold mb-1">{openCell.student.name}</h2>
+            <p className="text-sm text-gray-600 mb-4">Roll: {openCell.student.rollNo} • {openCell.date}</p>
+            <div className="space-y-3 mb-4">
+              {openCell.records.map(record => (
+                <div key={record.block.hash} className="border rounded-lg p-3">
                   <div className="flex items-center gap-2 mb-2">
-                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-                      block.transactions.status === 'Present' 
-                        ? 'bg-green-100 text-green-800' 
-                        : 'bg-red-100 text-red-800'
-                    }`}>
-                      {block.transactions.status}
+                    <span className={`px-3 py-1 rounded-full text-sm font-medium ${statusColors(getStatus(statuses, record.status)).badge}`}>
+                      {getStatus(statuses, record.status).label}
                     </span>
-                    <span className="text-sm text-gray-600">{block.transactions.date}</span>
+                    {record.block.transactions.subject && (
+                      <span className="text-sm text-gray-600">{formatSession(record.block.transactions)}</span>
+                    )}
+                    {record.corrected && (
+                      <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Corrected</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500 space-y-1">
+                    <p className="flex items-center gap-1">
+                      <Hash className="w-3 h-3" />
+                      Block #{record.block.index}
+                    </p>
+                    <p className="break-all">Hash: {record.block.hash}</p>
+                    <p className="break-all">Previous: {record.block.prev_hash}</p>
+                    <p>Nonce: {record.block.nonce}{record.block.difficulty ? ` • Difficulty: ${record.block.difficulty}` : ''}</p>
+                    <p>{describeSignature(record.block)}</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => setOpenCell(null)}
+              className="w-full bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const VALIDATION_REASONS = {
+  hash_mismatch: 'Hash mismatch',
+  broken_link: 'Broken prev_hash link',
+  missing_pow: 'Missing proof-of-work',
+  broken_anchor: 'Broken parent anchor',
+  unsigned: 'Unsigned transaction',
+  invalid_signature: 'Invalid signature',
+  unknown_signer: 'Unknown signing key',
+  retired_key: 'Retired signing key',
+  wrong_index: 'Index out of place',
+  unknown_version: 'Unknown block version',
+  version_downgrade: 'Block version downgrade',
+  bad_checkpoint: 'Migration checkpoint mismatch',
+  wrong_class: 'Chain ends in another class'
+};
+
+function ValidationView({ results, validating, searchTerm, onValidate }) {
+  const [expanded, setExpanded] = useState(null);
+
+  if (validating) {
+    return (
+      <div className="text-center py-12">
+        <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
+        <p className="text-gray-500">Validating all blockchains...</p>
+      </div>
+    );
+  }
+
+  if (!results) {
+    return (
+      <div className="text-center py-12">
+        <Shield className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500 mb-4">No validation has been run yet.</p>
+        <button
+          onClick={onValidate}
+          className="bg-green-500 text-white px-4 py-2 rounded-lg hover:bg-green-600 transition-colors"
+        >
+          Run Validation
+        </button>
+      </div>
+    );
+  }
+
+  const sections = [
+    { id: 'departments', label: 'Departments', icon: BookOpen },
+    { id: 'classes', label: 'Classes', icon: Users },
+    { id: 'students', label: 'Students', icon: GraduationCap }
+  ];
+
+  const matches = (item) =>
+    item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (item.rollNo || '').toLowerCase().includes(searchTerm.toLowerCase());
+
+  return (
+    <div>
+      <div className={`border rounded-lg p-4 mb-6 flex items-center justify-between ${
+        results.overall ? 'bg-green-50 border-green-300' : 'bg-red-50 border-red-300'
+      }`}>
+        <div className="flex items-center gap-3">
+          {results.overall
+            ? <Check className="w-6 h-6 text-green-600" />
+            : <AlertCircle className="w-6 h-6 text-red-600" />}
+          <div>
+            <h3 className="font-semibold text-gray-800">
+              {results.overall ? 'All blockchains are valid' : 'Validation failed'}
+            </h3>
+            <p className="text-sm text-gray-600">
+              {sections.map(section => {
+                const items = results[section.id];
+                const invalid = items.filter(item => !item.valid).length;
+                return `${section.label}: ${items.length - invalid}/${items.length} valid`;
+              }).join(' • ')}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={onValidate}
+          className="bg-white border text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          Re-run
+        </button>
+      </div>
+
+      {results.legacyChains > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-6 text-sm text-yellow-800">
+          {results.legacyChains} chain{results.legacyChains === 1 ? '' : 's'} still end in legacy (v1) blocks, whose
+          index and difficulty are not covered by the hash. Run <code>node server.js upgrade-blocks</code> on the
+          server to checkpoint them.
+        </div>
+      )}
+
+      {results.legacyUnsignedBlocks > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-6 text-sm text-yellow-800">
+          {results.legacyUnsignedBlocks} block{results.legacyUnsignedBlocks === 1 ? ' was' : 's were'} written before
+          transactions were signed. They are not counted as failures.
+        </div>
+      )}
+
+      {sections.map(section => {
+        const invalid = results[section.id].filter(item => !item.valid && matches(item));
+        if (invalid.length === 0) return null;
+
+        return (
+          <div key={section.id} className="mb-6">
+            <h4 className="flex items-center gap-2 text-lg font-semibold mb-3">
+              <section.icon className="w-5 h-5 text-red-600" />
+              Invalid {section.label} ({invalid.length})
+            </h4>
+            <div className="space-y-3">
+              {invalid.map(item => (
+                <div key={item.id} className="bg-white border border-red-200 rounded-lg">
+                  <button
+                    onClick={() => setExpanded(expanded === item.id ? null : item.id)}
+                    className="w-full flex items-center justify-between p-4 text-left"
+                  >
+                    <div>
+                      <h3 className="font-semibold text-gray-800">{item.name}</h3>
+                      <p className="text-xs text-gray-500">
+                        ID: {item.id}{item.rollNo && ` • Roll: ${item.rollNo}`}
+                      </p>
+                    </div>
+                    <div className="flex flex-wrap gap-1 justify-end">
+                      {item.errors.map((err, index) => (
+                        <span key={index} className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          #{err.blockIndex} {VALIDATION_REASONS[err.reason] || err.reason}
+                        </span>
+                      ))}
+                    </div>
+                  </button>
+
+                  {expanded === item.id && (
+                    <div className="border-t p-4 space-y-3">
+                      {item.errors.map((err, index) => (
+                        <div key={index} className="bg-red-50 rounded-lg p-3">
+                          <p className="text-sm font-medium text-red-800 mb-2">
+                            Block #{err.blockIndex}: {err.message}
+                          </p>
+                          <div className="text-xs text-gray-600 space-y-1">
+                            <p className="truncate">Hash: {err.block.hash}</p>
+                            <p className="truncate">Previous: {err.block.prev_hash}</p>
+                            <p>Nonce: {err.block.nonce}{err.block.difficulty ? ` • Difficulty: ${err.block.difficulty}` : ''}</p>
+                            <p>Timestamp: {new Date(err.block.timestamp).toLocaleString()}</p>
+                            <pre className="bg-white border rounded p-2 overflow-x-auto">
+                              {JSON.stringify(err.block.transactions, null, 2)}
+                            </pre>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      {results.overall && (
+        <div className="text-center py-12">
+          <Shield className="w-16 h-16 text-green-300 mx-auto mb-4" />
+          <p className="text-gray-500">No tampering detected in any department, class or student chain.</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TrashView({ departments, classes, students, searchTerm, onRestoreDepartment, onRestoreClass, onRestoreStudent }) {
+  const getDept = (deptId) => departments.find(d => d.id === deptId);
+  const getClass = (classId) => classes.find(c => c.id === classId);
+
+  const describeCascade = (item) => {
+    if (!item.deletedBy) return null;
+    const parent = item.deletedBy.type === 'department' ? getDept(item.deletedBy.id) : getClass(item.deletedBy.id);
+    return `Deleted with ${item.deletedBy.type} ${parent?.name || item.deletedBy.id}`;
+  };
+
+  const matches = (item) =>
+    item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+    (item.rollNo || '').toLowerCase().includes(searchTerm.toLowerCase());
+
+  const sections = [
+    {
+      id: 'departments',
+      label: 'Departments',
+      icon: BookOpen,
+      items: departments,
+      onRestore: onRestoreDepartment,
+      blockedBy: () => null
+    },
+    {
+      id: 'classes',
+      label: 'Classes',
+      icon: Users,
+      items: classes,
+      onRestore: onRestoreClass,
+      blockedBy: (cls) => (getDept(cls.deptId)?.deleted ? 'Restore its department first' : null)
+    },
+    {
+      id: 'students',
+      label: 'Students',
+      icon: GraduationCap,
+      items: students,
+      onRestore: onRestoreStudent,
+      blockedBy: (student) => (getClass(student.classId)?.deleted ? 'Restore its class first' : null)
+    }
+  ].map(section => ({ ...section, items: section.items.filter(item => item.deleted && matches(item)) }));
+
+  if (sections.every(section => section.items.length === 0)) {
+    return (
+      <div className="text-center py-12">
+        <Trash2 className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">Trash is empty.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {sections.filter(section => section.items.length > 0).map(section => (
+        <div key={section.id} className="mb-6">
+          <h4 className="flex items-center gap-2 text-lg font-semibold mb-3">
+            <section.icon className="w-5 h-5 text-gray-500" />
+            Deleted {section.label} ({section.items.length})
+          </h4>
+          <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+            {section.items.map(item => {
+              const blocked = section.blockedBy(item);
+              const cascade = describeCascade(item);
+              return (
+                <div key={item.id} className="bg-gray-50 border rounded-lg p-4">
+                  <div className="flex items-start justify-between mb-2">
+                    <div>
+                      <h3 className="font-semibold text-gray-700">{item.name}</h3>
+                      {item.rollNo && <p className="text-sm text-gray-600">Roll: {item.rollNo}</p>}
+                    </div>
+                    <button
+                      onClick={() => section.onRestore(item.id)}
+                      disabled={!!blocked}
+                      title={blocked || 'Restore'}
+                      className="flex items-center gap-1 text-sm text-indigo-600 px-2 py-1 rounded hover:bg-indigo-50 disabled:text-gray-400 disabled:hover:bg-transparent"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Restore
+                    </button>
                   </div>
                   <div className="text-xs text-gray-500 space-y-1">
+                    {item.deletedAt && <p>Deleted: {new Date(item.deletedAt).toLocaleString()}</p>}
+                    {cascade && <p>{cascade}</p>}
+                    {blocked && <p className="text-red-600">{blocked}</p>}
                     <p className="flex items-center gap-1">
                       <Hash className="w-3 h-3" />
-                      Block #{block.index}
+                      Blocks: {item.blockCount || 1}
                     </p>
-                    <p className="truncate">Hash: {block.hash}</p>
-                    <p className="truncate">Previous: {block.prev_hash}</p>
-                    <p>Nonce: {block.nonce}</p>
                   </div>
                 </div>
-              </div>
-            </div>
-          ))}
+              );
+            })}
+          </div>
         </div>
-      )}
+      ))}
     </div>
   );
 }
@@ -846,14 +2729,174 @@ function AttendanceView({ students, departments, classes, selectedStudent, onMar
 // MODAL COMPONENTS
 // ============================================
 
+const ROLE_BADGES = {
+  admin: 'bg-purple-100 text-purple-800',
+  teacher: 'bg-blue-100 text-blue-800',
+  student: 'bg-green-100 text-green-800'
+};
+
+function UsersView({ users, classes, currentUserId, onResetPassword, onDelete }) {
+  const getClassName = (classId) => classes.find(c => c.id === classId)?.name || classId;
+
+  const describe = (account) => {
+    if (account.role === 'teacher') {
+      return account.classIds.length > 0
+        ? `Classes: ${account.classIds.map(getClassName).join(', ')}`
+        : 'No classes assigned';
+    }
+    if (account.role === 'student') {
+      const { student } = account;
+      return student ? `${student.name} • Roll: ${student.rollNo}` : account.studentId;
+    }
+    return 'Full access';
+  };
+
+  if (users.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <UserCog className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-500">No users found. Click "Add User" to create one.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+      {users.map(account => (
+        <div key={account.id} className="bg-white border rounded-lg p-4 shadow-sm hover:shadow-md transition-shadow">
+          <div className="flex items-start justify-between mb-3">
+            <div className="flex items-center gap-2">
+              <UserCog className="w-5 h-5 text-indigo-600" />
+              <h3 className="font-semibold text-gray-800">{account.username}</h3>
+              <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${ROLE_BADGES[account.role]}`}>
+                {account.role}
+              </span>
+            </div>
+            <div className="flex gap-1">
+              <button onClick={() => onResetPassword(account)} className="p-1 text-blue-600 hover:bg-blue-50 rounded" title="Reset password">
+                <Lock className="w-4 h-4" />
+              </button>
+              {account.id !== currentUserId && (
+                <button onClick={() => onDelete(account)} className="p-1 text-red-600 hover:bg-red-50 rounded" title="Delete">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+          <p className="text-sm text-gray-600">{describe(account)}</p>
+          {account.role !== 'student' && (
+            <p className="text-xs text-gray-500 mt-1">
+              Signing key: {account.keyId || 'created at first sign-in'}
+            </p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function LoginScreen({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      await onLogin(username.trim(), password);
+    } catch (err) {
+      setError(errorMessage(err));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-6">
+      <div className="bg-white rounded-lg shadow-lg p-8 w-full max-w-md">
+        <div className="flex items-center gap-3 mb-6">
+          <Shield className="w-10 h-10 text-indigo-600" />
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">BAMS Sign In</h1>
+            <p className="text-gray-600 text-sm">Blockchain Attendance Management</p>
+          </div>
+        </div>
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              autoComplete="username"
+              autoFocus
+              required
+            />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              autoComplete="current-password"
+              required
+            />
+          </div>
+          {error && (
+            <p className="flex items-center gap-2 text-sm text-red-600 mb-4">
+              <AlertCircle className="w-4 h-4" />
+              {error}
+            </p>
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {submitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Errors of a failed submission that have no input of their own to sit under
+function FormError({ error, fields }) {
+  if (!error) return null;
+  const fieldErrors = Object.entries(error.fieldErrors);
+  const messages = fieldErrors.length === 0
+    ? [error.message]
+    : fieldErrors.filter(([field]) => !fields.includes(field)).map(([, message]) => message);
+  if (messages.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg px-4 py-2 mb-4">
+      <AlertCircle className="w-4 h-4 flex-shrink-0" />
+      {messages.join('; ')}
+    </div>
+  );
+}
+
+function FieldError({ error, field }) {
+  const message = error?.fieldErrors[field];
+  if (!message) return null;
+  return <p className="text-sm text-red-600 mt-1">{message}</p>;
+}
+
 function AddDepartmentModal({ onAdd, onClose }) {
   const [name, setName] = useState('');
+  const [error, setError] = useState(null);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (name.trim()) {
-      onAdd(name.trim());
-      setName('');
+      setError(await onAdd(name.trim()));
     }
   };
 
@@ -861,6 +2904,7 @@ function AddDepartmentModal({ onAdd, onClose }) {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <h2 className="text-xl font-bold mb-4">Add Department</h2>
+        <FormError error={error} fields={['name']} />
         <form onSubmit={handleSubmit}>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Department Name</label>
@@ -873,6 +2917,7 @@ function AddDepartmentModal({ onAdd, onClose }) {
               autoFocus
               required
             />
+            <FieldError error={error} field="name" />
           </div>
           <div className="flex gap-3">
             <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
@@ -891,13 +2936,12 @@ function AddDepartmentModal({ onAdd, onClose }) {
 function AddClassModal({ departments, onAdd, onClose }) {
   const [name, setName] = useState('');
   const [deptId, setDeptId] = useState('');
+  const [error, setError] = useState(null);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (name.trim() && deptId) {
-      onAdd(name.trim(), deptId);
-      setName('');
-      setDeptId('');
+      setError(await onAdd(name.trim(), deptId));
     }
   };
 
@@ -907,6 +2951,7 @@ function AddClassModal({ departments, onAdd, onClose }) {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <h2 className="text-xl font-bold mb-4">Add Class</h2>
+        <FormError error={error} fields={['name', 'deptId']} />
         <form onSubmit={handleSubmit}>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
@@ -921,6 +2966,7 @@ function AddClassModal({ departments, onAdd, onClose }) {
                 <option key={dept.id} value={dept.id}>{dept.name}</option>
               ))}
             </select>
+            <FieldError error={error} field="deptId" />
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Class Name</label>
@@ -932,6 +2978,7 @@ function AddClassModal({ departments, onAdd, onClose }) {
               placeholder="e.g., Class 1"
               required
             />
+            <FieldError error={error} field="name" />
           </div>
           <div className="flex gap-3">
             <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
@@ -952,15 +2999,12 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
   const [rollNo, setRollNo] = useState('');
   const [deptId, setDeptId] = useState('');
   const [classId, setClassId] = useState('');
+  const [error, setError] = useState(null);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (name.trim() && rollNo.trim() && deptId && classId) {
-      onAdd(name.trim(), rollNo.trim(), deptId, classId);
-      setName('');
-      setRollNo('');
-      setDeptId('');
-      setClassId('');
+      setError(await onAdd(name.trim(), rollNo.trim(), deptId, classId));
     }
   };
 
@@ -971,6 +3015,7 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 w-full max-w-md">
         <h2 className="text-xl font-bold mb-4">Add Student</h2>
+        <FormError error={error} fields={['name', 'rollNo', 'deptId', 'classId']} />
         <form onSubmit={handleSubmit}>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
@@ -988,6 +3033,7 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
                 <option key={dept.id} value={dept.id}>{dept.name}</option>
               ))}
             </select>
+            <FieldError error={error} field="deptId" />
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Class</label>
@@ -1003,6 +3049,7 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
                 <option key={cls.id} value={cls.id}>{cls.name}</option>
               ))}
             </select>
+            <FieldError error={error} field="classId" />
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Student Name</label>
@@ -1014,6 +3061,7 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
               placeholder="e.g., John Doe"
               required
             />
+            <FieldError error={error} field="name" />
           </div>
           <div className="mb-4">
             <label className="block text-sm font-medium text-gray-700 mb-2">Roll Number</label>
@@ -1025,6 +3073,7 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
               placeholder="e.g., 11001"
               required
             />
+            <FieldError error={error} field="rollNo" />
           </div>
           <div className="flex gap-3">
             <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
@@ -1038,4 +3087,447 @@ function AddStudentModal({ departments, classes, onAdd, onClose }) {
       </div>
     </div>
   );
+}
+
+function TransferStudentModal({ student, departments, classes, onTransfer, onClose }) {
+  const [deptId, setDeptId] = useState(student.deptId);
+  const [classId, setClassId] = useState('');
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const activeDepts = departments.filter(d => !d.deleted);
+  const filteredClasses = classes.filter(c => !c.deleted && c.deptId === deptId && c.id !== student.classId);
+  const currentClass = classes.find(c => c.id === student.classId)?.name || 'Unknown';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (deptId && classId) {
+      setError(await onTransfer(student.id, { deptId, classId, reason: reason.trim() || undefined }));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md">
+        <h2 className="text-xl font-bold mb-1">Transfer {student.name}</h2>
+        <p className="text-sm text-gray-500 mb-4">Currently in {currentClass}. Attendance history moves with the student.</p>
+        <FormError error={error} fields={['deptId', 'classId', 'reason']} />
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Department</label>
+            <select
+              value={deptId}
+              onChange={(e) => {
+                setDeptId(e.target.value);
+                setClassId('');
+              }}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              required
+            >
+              <option value="">Select Department</option>
+              {activeDepts.map(dept => (
+                <option key={dept.id} value={dept.id}>{dept.name}</option>
+              ))}
+            </select>
+            <FieldError error={error} field="deptId" />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Class</label>
+            <select
+              value={classId}
+              onChange={(e) => setClassId(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              disabled={!deptId}
+              required
+            >
+              <option value="">Select Class</option>
+              {filteredClasses.map(cls => (
+                <option key={cls.id} value={cls.id}>{cls.name}</option>
+              ))}
+            </select>
+            <FieldError error={error} field="classId" />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason (optional)</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              placeholder="e.g., Section change"
+            />
+            <FieldError error={error} field="reason" />
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
+              Transfer
+            </button>
+            <button type="button" onClick={onClose} className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function SessionsModal({ cls, sessions, onAdd, onDelete, onClose }) {
+  const [subject, setSubject] = useState('');
+  const [startTime, setStartTime] = useState('');
+  const [endTime, setEndTime] = useState('');
+  const [teacher, setTeacher] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (subject.trim() && startTime && endTime && teacher.trim()) {
+      const failure = await onAdd({ classId: cls.id, subject: subject.trim(), startTime, endTime, teacher: teacher.trim() });
+      setError(failure);
+      if (!failure) {
+        setSubject('');
+        setStartTime('');
+        setEndTime('');
+        setTeacher('');
+      }
+    }
+  };
+
+  const sorted = sessions.slice().sort((a, b) => a.startTime.localeCompare(b.startTime));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <h2 className="text-xl font-bold mb-4">Sessions • {cls.name}</h2>
+
+        {sorted.length === 0 ? (
+          <p className="text-gray-500 mb-4">No sessions yet.</p>
+        ) : (
+          <div className="space-y-2 mb-4">
+            {sorted.map(session => (
+              <div key={session.id} className="flex items-center justify-between border rounded-lg px-4 py-2">
+                <div>
+                  <p className="font-medium text-gray-800">{formatSession(session)}</p>
+                  <p className="text-xs text-gray-500">{session.teacher}</p>
+                </div>
+                <button onClick={() => onDelete(session.id)} className="p-1 text-red-600 hover:bg-red-50 rounded">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <FormError error={error} fields={['subject', 'startTime', 'endTime', 'teacher']} />
+        <form onSubmit={handleSubmit}>
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Subject</label>
+              <input
+                type="text"
+                value={subject}
+                onChange={(e) => setSubject(e.target.value)}
+                className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                placeholder="e.g., Databases Lab"
+                required
+              />
+              <FieldError error={error} field="subject" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Start</label>
+              <input
+                type="time"
+                value={startTime}
+                onChange={(e) => setStartTime(e.target.value)}
+                className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                required
+              />
+              <FieldError error={error} field="startTime" />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">End</label>
+              <input
+                type="time"
+                value={endTime}
+                onChange={(e) => setEndTime(e.target.value)}
+                className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                required
+              />
+              <FieldError error={error} field="endTime" />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Teacher</label>
+              <input
+                type="text"
+                value={teacher}
+                onChange={(e) => setTeacher(e.target.value)}
+                className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                placeholder="e.g., Dr. Khan"
+                required
+              />
+              <FieldError error={error} field="teacher" />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
+              Add Session
+            </button>
+            <button type="button" onClick={onClose} className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+              Close
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+function ImportStudentsModal({ onImported, onClose }) {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setReport(null);
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      setCsv(reader.result);
+      setBusy(true);
+      try {
+        const response = await api.importStudents(reader.result, false);
+        setReport(response.data);
+      } catch (error) {
+        alert('Error reading CSV: ' + errorMessage(error));
+      } finally {
+        setBusy(false);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const response = await api.importStudents(csv, true);
+      alert(`${response.data.created} students imported! Blockchains created for each student.`);
+      await onImported();
+    } catch (error) {
+      if (error.response?.data?.rows) setReport(error.response.data);
+      alert('Error importing students: ' + errorMessage(error));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-3xl max-h-screen overflow-y-auto">
+        <h2 className="text-xl font-bold mb-2">Import Students</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          CSV with the columns <code>name, rollNo, department, class</code>. Department and class can be an ID or a name.
+        </p>
+
+        <label className="flex items-center gap-2 border-2 border-dashed rounded-lg px-4 py-6 mb-4 cursor-pointer hover:border-indigo-400 justify-center text-gray-600">
+          <Upload className="w-5 h-5" />
+          {fileName || 'Choose a CSV file'}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+
+        {busy && (
+          <div className="text-center py-6">
+            <Loader className="w-8 h-8 text-indigo-600 animate-spin mx-auto mb-2" />
+          </div>
+        )}
+
+        {report && !busy && (
+          <div className="mb-4">
+            <p className={`text-sm font-medium mb-2 ${report.valid ? 'text-green-700' : 'text-red-700'}`}>
+              {report.total} rows • {report.invalid} with errors
+            </p>
+            <div className="max-h-80 overflow-y-auto border rounded-lg">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b bg-gray-50">
+                    <th className="p-2">Row</th>
+                    <th className="p-2">Name</th>
+                    <th className="p-2">Roll</th>
+                    <th className="p-2">Department</th>
+                    <th className="p-2">Class</th>
+                    <th className="p-2">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.rows.map(row => (
+                    <tr key={row.row} className={`border-b ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                      <td className="p-2 text-gray-500">{row.row}</td>
+                      <td className="p-2">{row.name}</td>
+                      <td className="p-2">{row.rollNo}</td>
+                      <td className="p-2">{row.department}</td>
+                      <td className="p-2">{row.class}</td>
+                      <td className="p-2">
+                        {row.errors.length === 0
+                          ? <Check className="w-4 h-4 text-green-600" />
+                          : <span className="text-xs text-red-700">{row.errors.join('; ')}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={handleImport}
+            disabled={!report?.valid || busy}
+            className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Import {report?.valid ? report.total : ''} Students
+          </button>
+          <button type="button" onClick={onClose} className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function AddUserModal({ departments, classes, onAdd, onClose }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState('teacher');
+  const [classIds, setClassIds] = useState([]);
+  const [classId, setClassId] = useState('');
+  const [studentId, setStudentId] = useState('');
+  const [error, setError] = useState(null);
+
+  const activeClasses = classes.filter(c => !c.deleted);
+  const classStudents = useClassRoster(classId);
+  const getDeptName = (deptId) => departments.find(d => d.id === deptId)?.name || 'Unknown';
+
+  const toggleClass = (id) => {
+    setClassIds(classIds.includes(id) ? classIds.filter(c => c !== id) : [...classIds, id]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || password.length < 8) return;
+    if (role === 'student' && !studentId) return;
+    setError(await onAdd({
+      username: username.trim(),
+      password,
+      role,
+      classIds: role === 'teacher' ? classIds : undefined,
+      studentId: role === 'student' ? studentId : undefined
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md max-h-screen overflow-y-auto">
+        <h2 className="text-xl font-bold mb-4">Add User</h2>
+        <FormError error={error} fields={['username', 'password', 'role', 'classIds', 'studentId']} />
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              autoFocus
+              required
+            />
+            <FieldError error={error} field="username" />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              placeholder="At least 8 characters"
+              minLength={8}
+              autoComplete="new-password"
+              required
+            />
+            <FieldError error={error} field="password" />
+          </div>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+            <select
+              value={role}
+              onChange={(e) => setRole(e.target.value)}
+              className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+            >
+              <option value="admin">Admin</option>
+              <option value="teacher">Teacher</option>
+              <option value="student">Student</option>
+            </select>
+            <FieldError error={error} field="role" />
+          </div>
+          {role === 'teacher' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Assigned Classes</label>
+              <div className="border rounded-lg p-2 max-h-48 overflow-y-auto space-y-1">
+                {activeClasses.map(cls => (
+                  <label key={cls.id} className="flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={classIds.includes(cls.id)} onChange={() => toggleClass(cls.id)} />
+                    {cls.name} <span className="text-gray-500">• {getDeptName(cls.deptId)}</span>
+                  </label>
+                ))}
+              </div>
+              <FieldError error={error} field="classIds" />
+            </div>
+          )}
+          {role === 'student' && (
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Student Record</label>
+              <select
+                value={classId}
+                onChange={(e) => {
+                  setClassId(e.target.value);
+                  setStudentId('');
+                }}
+                className="w-full border rounded-lg px-4 py-2 mb-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+              >
+                <option value="">Select Class</option>
+                {activeClasses.map(cls => (
+                  <option key={cls.id} value={cls.id}>{cls.name} • {getDeptName(cls.deptId)}</option>
+                ))}
+              </select>
+              <select
+                value={studentId}
+                onChange={(e) => setStudentId(e.target.value)}
+                className="w-full border rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500 focus:outline-none"
+                disabled={!classId}
+                required
+              >
+                <option value="">Select Student</option>
+                {classStudents.map(student => (
+                  <option key={student.id} value={student.id}>{student.rollNo} • {student.name}</option>
+                ))}
+              </select>
+              <FieldError error={error} field="studentId" />
+            </div>
+          )}
+          <div className="flex gap-3">
+            <button type="submit" className="flex-1 bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700">
+              Add User
+            </button>
+            <button type="button" onClick={onClose} className="flex-1 bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
 }
\ No newline at end of file
@@ -0,0 +1,64 @@
+// ============================================
+// BLOCK HASHING - mining.js
+// Shared by server.js and the mining worker threads it starts
+// ============================================
+
+const crypto = require('crypto');
+const { isMainThread, parentPort } = require('worker_threads');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// JSON with object keys sorted at every level, so a hash does not depend on
+// the order properties were written in
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Returns nonce => hash for a block. Mining only changes the nonce, so
+// everything else is serialized once.
+function hasher(block) {
+  if (block.version === 1) {
+    const prefix = block.timestamp + JSON.stringify(block.transactions) + block.prev_hash;
+    return nonce => sha256(prefix + nonce);
+  }
+
+  // Same text as canonicalize() of the whole header: its keys sort as
+  // difficulty, index, nonce, prev_hash, timestamp, transactions, version
+  const { version, index, timestamp, transactions, prev_hash, difficulty } = block;
+  const head = canonicalize({ difficulty, index }).slice(0, -1);
+  const tail = canonicalize({ prev_hash, timestamp, transactions, version }).slice(1);
+  return nonce => sha256(`${head},"nonce":${canonicalize(nonce)},${tail}`);
+}
+
+function meetsDifficulty(hash, difficulty) {
+  return hash.startsWith('0'.repeat(difficulty));
+}
+
+// Busy loop from the block's nonce up; only run inside mining workers
+function mine(block) {
+  const hash = hasher(block);
+  let { nonce } = block;
+  let current = hash(nonce);
+  while (!meetsDifficulty(current, block.difficulty)) {
+    nonce++;
+    current = hash(nonce);
+  }
+  return { nonce, hash: current };
+}
+
+// Worker side: mine each block sent and post back its nonce and hash
+if (!isMainThread) {
+  parentPort.on('message', block => parentPort.postMessage(mine(block)));
+}
+
+module.exports = { canonicalize, hasher, meetsDifficulty, mine };
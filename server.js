@@ -5,99 +5,266 @@
 
 const express = require('express');
 const cors = require('cors');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const ExcelJS = require('exceljs');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
+const { Worker } = require('worker_threads');
+const mining = require('./mining');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// How many days back a teacher may record attendance for
+const BACKDATE_WINDOW_DAYS = Number(process.env.BACKDATE_WINDOW_DAYS || 7);
+
+// Students below this attendance percentage are listed as defaulters
+const MIN_ATTENDANCE_PERCENT = Number(process.env.MIN_ATTENDANCE_PERCENT || 75);
+
+// Session tokens are signed with JWT_SECRET. Without it a random secret is
+// used, so everyone has to sign in again after a restart.
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+// Leading zero hex digits a new block's hash needs. Every block records the
+// difficulty it was mined at and is validated against that, so changing this
+// only affects blocks mined from now on.
+const MINING_DIFFICULTY = Number(process.env.MINING_DIFFICULTY || 4);
+if (!Number.isInteger(MINING_DIFFICULTY) || MINING_DIFFICULTY < 1 || MINING_DIFFICULTY > 64) {
+  throw new Error('MINING_DIFFICULTY must be a whole number between 1 and 64');
+}
+
+// Blocks mined before difficulty was recorded were all mined at 4
+const LEGACY_DIFFICULTY = 4;
+
+// Where records are kept: 'json' (one file per collection in DATA_DIR) or
+// 'sqlite' (one database file, with every block stored as a row)
+const STORAGE = process.env.STORAGE || 'json';
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(DATA_DIR, 'bams.db');
+
+// Replication between BAMS nodes (e.g. one per campus). Nodes call each other
+// with the shared PEER_SECRET; without it replication is off. NODE_URL is the
+// address peers reach this node at, and PEERS lists nodes to join at startup.
+const PEER_SECRET = process.env.PEER_SECRET || null;
+const NODE_URL = (process.env.NODE_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const PEERS = (process.env.PEERS || '').split(',').map(url => url.trim()).filter(Boolean);
+const SYNC_INTERVAL_MS = Number(process.env.SYNC_INTERVAL_MS || 60000);
+const PEER_TIMEOUT_MS = 10000;
+
+// Comma-separated origins of the frontends allowed to call the API
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000').split(',').map(origin => origin.trim());
+
+// admin: manages departments, classes, students and accounts
+// teacher: marks attendance for the classes assigned to them
+// student: read-only access to their own record
+const ROLES = ['admin', 'teacher', 'student'];
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, exposedHeaders: ['Content-Disposition'] }));
+// Peers exchange whole chains, so sync bodies get a larger limit
+app.use('/api/sync', express.json({ limit: '50mb' }));
 app.use(express.json());
+app.use(express.text({ type: 'text/csv', limit: '2mb' }));
+
+// Attendance statuses used until an admin saves their own list.
+// `reason` is one of 'none', 'optional' or 'required'.
+const DEFAULT_STATUSES = [
+  { code: 'Present', abbreviation: 'P', label: 'Present', attended: true, reason: 'none', color: 'green' },
+  { code: 'Absent', abbreviation: 'A', label: 'Absent', attended: false, reason: 'none', color: 'red' },
+  { code: 'Late', abbreviation: 'L', label: 'Late', attended: true, reason: 'optional', color: 'yellow' },
+  { code: 'Excused', abbreviation: 'E', label: 'Excused', attended: false, reason: 'required', color: 'blue' },
+  { code: 'Leave', abbreviation: 'LV', label: 'Leave', attended: false, reason: 'required', color: 'purple' },
+  { code: 'Medical', abbreviation: 'M', label: 'Medical', attended: false, reason: 'required', color: 'gray' }
+];
 
 // ============================================
 // BLOCKCHAIN CORE CLASSES
 // ============================================
 
+// Block format of newly mined blocks. v1 blocks (stored without a version)
+// hash timestamp, transactions, prev_hash and nonce as concatenated strings,
+// so their index and difficulty can be edited unnoticed. v2 hashes a
+// canonical serialization of every header field. Both still validate;
+// `node server.js upgrade-blocks` checkpoints legacy chains.
+const BLOCK_VERSION = 2;
+const BLOCK_VERSIONS = [1, 2];
+
 class Block {
-  constructor(index, timestamp, transactions, prev_hash, nonce = 0) {
+  constructor(index, timestamp, transactions, prev_hash, nonce = 0, difficulty = MINING_DIFFICULTY, version = BLOCK_VERSION) {
+    this.version = version;
     this.index = index;
     this.timestamp = timestamp;
     this.transactions = transactions;
     this.prev_hash = prev_hash;
     this.nonce = nonce;
+    this.difficulty = difficulty;
     this.hash = this.calculateHash();
   }
 
   calculateHash() {
-    return crypto
-      .createHash('sha256')
-      .update(
-        this.timestamp +
-        JSON.stringify(this.transactions) +
-        this.prev_hash +
-        this.nonce
-      )
-      .digest('hex');
+    return mining.hasher(this)(this.nonce);
   }
 
-  mineBlock(difficulty = 4) {
-    const target = '0'.repeat(difficulty);
-    while (this.hash.substring(0, difficulty) !== target) {
-      this.nonce++;
-      this.hash = this.calculateHash();
-    }
+  static canonicalize(value) {
+    return mining.canonicalize(value);
+  }
+
+  meetsDifficulty() {
+    return mining.meetsDifficulty(this.hash, this.difficulty);
+  }
+
+  async mine() {
+    const { nonce, hash } = await miningPool.mine(this);
+    this.nonce = nonce;
+    this.hash = hash;
     return this;
   }
 }
 
 class Blockchain {
-  constructor(name, parentHash = '0') {
+  // New chains come from Blockchain.create, which mines the genesis block;
+  // the constructor only wraps existing blocks. owner is the id of the record
+  // the chain belongs to, which signatures on it are bound to (see KeyService).
+  constructor(name, chain = [], owner = null) {
     this.name = name;
-    this.chain = [this.createGenesisBlock(parentHash)];
+    this.chain = chain;
+    this.owner = owner;
+  }
+
+  // parentBlock is the block of the parent chain this chain hangs off. Its
+  // index and hash are recorded in the genesis block so the link can still be
+  // verified after the parent chain grows.
+  static async create(name, parentBlock = null) {
+    const blockchain = new Blockchain(name);
+    blockchain.chain.push(await blockchain.createGenesisBlock(parentBlock));
+    return blockchain;
   }
 
-  createGenesisBlock(parentHash) {
-    const genesis = new Block(0, Date.now(), { type: 'genesis', name: this.name }, parentHash);
-    genesis.mineBlock(4);
-    return genesis;
+  async createGenesisBlock(parentBlock) {
+    const transactions = { type: 'genesis', name: this.name };
+    if (parentBlock) {
+      transactions.anchor = { blockIndex: parentBlock.index, hash: parentBlock.hash };
+    }
+
+    const genesis = new Block(0, Date.now(), transactions, parentBlock ? parentBlock.hash : '0');
+    return genesis.mine();
   }
 
   getLatestBlock() {
     return this.chain[this.chain.length - 1];
   }
 
-  addBlock(transactions) {
+  // With a signer the transaction is signed before mining (see KeyService)
+  async addBlock(transactions, signer = null) {
     const newBlock = new Block(
       this.chain.length,
       Date.now(),
-      transactions,
+      signer ? KeyService.sign(transactions, signer, this.owner, this.getLatestBlock().hash) : transactions,
       this.getLatestBlock().hash
     );
-    newBlock.mineBlock(4);
+    await newBlock.mine();
     this.chain.push(newBlock);
     return newBlock;
   }
 
-  isValid() {
-    for (let i = 1; i < this.chain.length; i++) {
+  // publicKeys is the registry from KeyService.registry(); without it
+  // signatures are not checked. Unsigned blocks written before signing
+  // existed are listed in `legacyUnsigned` instead of failing validation.
+  validate(publicKeys = null) {
+    const errors = [];
+    const legacyUnsigned = [];
+    const signingSince = publicKeys ? KeyService.signingSince(publicKeys) : null;
+    let signed = false;
+
+    for (let i = 0; i < this.chain.length; i++) {
       const currentBlock = this.chain[i];
-      const prevBlock = this.chain[i - 1];
+
+      if (!BLOCK_VERSIONS.includes(currentBlock.version)) {
+        errors.push({
+          blockIndex: i,
+          reason: 'unknown_version',
+          message: `Unknown block version ${currentBlock.version}`,
+          block: currentBlock
+        });
+      } else if (i > 0 && currentBlock.version < this.chain[i - 1].version) {
+        errors.push({
+          blockIndex: i,
+          reason: 'version_downgrade',
+          message: `v${currentBlock.version} block follows a v${this.chain[i - 1].version} block`,
+          block: currentBlock
+        });
+      }
+
+      if (currentBlock.index !== i) {
+        errors.push({
+          blockIndex: i,
+          reason: 'wrong_index',
+          message: `Block is at position ${i} but records index ${currentBlock.index}`,
+          block: currentBlock
+        });
+      }
 
       if (currentBlock.hash !== currentBlock.calculateHash()) {
-        return false;
+        errors.push({
+          blockIndex: i,
+          reason: 'hash_mismatch',
+          message: 'Stored hash does not match the block contents',
+          block: currentBlock
+        });
+      }
+
+      if (i > 0 && currentBlock.prev_hash !== this.chain[i - 1].hash) {
+        errors.push({
+          blockIndex: i,
+          reason: 'broken_link',
+          message: `prev_hash does not match the hash of block #${i - 1}`,
+          block: currentBlock
+        });
       }
 
-      if (currentBlock.prev_hash !== prevBlock.hash) {
-        return false;
+      const { difficulty } = currentBlock;
+      if (!Number.isInteger(difficulty) || difficulty < 1 || !currentBlock.meetsDifficulty()) {
+        errors.push({
+          blockIndex: i,
+          reason: 'missing_pow',
+          message: `Hash does not satisfy the proof-of-work difficulty it records (${difficulty})`,
+          block: currentBlock
+        });
+      }
+
+      if (currentBlock.transactions.type === 'migration' &&
+          currentBlock.transactions.checkpoint !== Blockchain.checkpoint(this.chain.slice(0, i))) {
+        errors.push({
+          blockIndex: i,
+          reason: 'bad_checkpoint',
+          message: 'Migration checkpoint does not match the blocks before it',
+          block: currentBlock
+        });
       }
 
-      if (!currentBlock.hash.startsWith('0000')) {
-        return false;
+      if (publicKeys && i > 0) {
+        // Legacy blocks are v1, older than the first signing key and not
+        // preceded by a signed block, so unsigned blocks cannot be appended
+        const { signature, type } = currentBlock.transactions;
+        if (!signature && !signed && currentBlock.version === 1 && currentBlock.timestamp < signingSince) {
+          if (SIGNED_TYPES.includes(type)) legacyUnsigned.push(i);
+        } else {
+          const signatureError = KeyService.verify(currentBlock, publicKeys, this.owner);
+          if (signatureError) errors.push({ blockIndex: i, ...signatureError, block: currentBlock });
+        }
+        if (signature) signed = true;
       }
     }
-    return true;
+
+    return { valid: errors.length === 0, errors, legacyUnsigned };
+  }
+
+  isValid(publicKeys = null) {
+    return this.validate(publicKeys).valid;
   }
 
   toJSON() {
@@ -107,551 +274,3684 @@ class Blockchain {
     };
   }
 
-  static fromJSON(data) {
-    const blockchain = new Blockchain(data.name);
-    blockchain.chain = data.chain.map(blockData => {
+  // Digest of the given block headers, recorded by migration blocks so the
+  // index and difficulty of v1 blocks are committed to by a v2 hash
+  static checkpoint(blocks) {
+    const headers = blocks.map(({ version, index, timestamp, prev_hash, nonce, difficulty, hash }) => (
+      { version, index, timestamp, prev_hash, nonce, difficulty, hash }
+    ));
+    return crypto.createHash('sha256').update(Block.canonicalize(headers)).digest('hex');
+  }
+
+  static fromJSON(data, owner = null) {
+    return new Blockchain(data.name, data.chain.map(blockData => {
       const block = new Block(
         blockData.index,
         blockData.timestamp,
         blockData.transactions,
         blockData.prev_hash,
-        blockData.nonce
+        blockData.nonce,
+        blockData.difficulty || LEGACY_DIFFICULTY,
+        blockData.version || 1
       );
       block.hash = blockData.hash;
       return block;
-    });
-    return blockchain;
+    }), owner);
   }
 }
 
 // ============================================
-// DATA STORAGE SERVICE
+// MINING POOL
 // ============================================
 
-class DataService {
-  constructor() {
-    this.dataDir = path.join(__dirname, 'data');
-    this.departmentsFile = path.join(this.dataDir, 'departments.json');
-    this.classesFile = path.join(this.dataDir, 'classes.json');
-    this.studentsFile = path.join(this.dataDir, 'students.json');
-    this.init();
-  }
+// Proof-of-work runs on worker threads so mining a block does not freeze
+// other requests, and chains mined together (bulk attendance, cascades,
+// seeding) use every core. Workers load only mining.js, which holds the
+// block hashing code and serves mining jobs.
+const MINING_WORKERS = Number(process.env.MINING_WORKERS || os.cpus().length);
 
-  async init() {
-    try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      
-      // Initialize with default data if files don't exist
-      try {
-        await fs.access(this.departmentsFile);
-      } catch {
-        await this.initializeDefaultData();
-      }
-    } catch (error) {
-      console.error('Error initializing data service:', error);
-    }
+class MiningPool {
+  constructor(size) {
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
   }
 
-  async initializeDefaultData() {
-    const departments = [
-      { 
-        id: 'dept1', 
-        name: 'School of Computing', 
-        blockchain: new Blockchain('School of Computing').toJSON(),
-        createdAt: Date.now()
-      },
-      { 
-        id: 'dept2', 
-        name: 'School of Software Engineering', 
-        blockchain: new Blockchain('School of Software Engineering').toJSON(),
-        createdAt: Date.now()
-      }
-    ];
-
-    const classes = [];
-    const students = [];
-
-    departments.forEach((dept, deptIdx) => {
-      for (let i = 1; i <= 5; i++) {
-        const classId = `${dept.id}_class${i}`;
-        const deptBlockchain = Blockchain.fromJSON(dept.blockchain);
-        classes.push({
-          id: classId,
-          name: `Class ${i}`,
-          deptId: dept.id,
-          blockchain: new Blockchain(
-            `${dept.name} - Class ${i}`, 
-            deptBlockchain.getLatestBlock().hash
-          ).toJSON(),
-          createdAt: Date.now()
-        });
-
-        for (let j = 1; j <= 35; j++) {
-          const studentId = `${classId}_student${j}`;
-          const rollNo = `${deptIdx + 1}${i}${j.toString().padStart(3, '0')}`;
-          const classBlockchain = Blockchain.fromJSON(classes[classes.length - 1].blockchain);
-          students.push({
-            id: studentId,
-            name: `Student ${rollNo}`,
-            rollNo: rollNo,
-            deptId: dept.id,
-            classId: classId,
-            blockchain: new Blockchain(
-              `Student ${rollNo}`, 
-              classBlockchain.getLatestBlock().hash
-            ).toJSON(),
-            createdAt: Date.now()
-          });
-        }
-      }
+  // Resolves with the nonce and hash that satisfy the block's difficulty
+  mine(block) {
+    const { index, timestamp, transactions, prev_hash, nonce, difficulty, version } = block;
+    return new Promise((resolve, reject) => {
+      this.queue.push({ block: { index, timestamp, transactions, prev_hash, nonce, difficulty, version }, resolve, reject });
+      this.dispatch();
     });
-
-    await this.saveDepartments(departments);
-    await this.saveClasses(classes);
-    await this.saveStudents(students);
-    console.log('✅ Default data initialized successfully');
   }
 
-  async loadDepartments() {
-    try {
-      const data = await fs.readFile(this.departmentsFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return [];
-    }
-  }
-
-  async saveDepartments(departments) {
-    await fs.writeFile(this.departmentsFile, JSON.stringify(departments, null, 2));
-  }
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idle.pop() || this.spawn();
+      if (!worker) return;
 
-  async loadClasses() {
-    try {
-      const data = await fs.readFile(this.classesFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return [];
+      const job = this.queue.shift();
+      worker.job = job;
+      worker.ref();
+      worker.postMessage(job.block);
     }
   }
 
-  async saveClasses(classes) {
-    await fs.writeFile(this.classesFile, JSON.stringify(classes, null, 2));
-  }
+  spawn() {
+    if (this.workers.length >= this.size) return null;
 
-  async loadStudents() {
-    try {
-      const data = await fs.readFile(this.studentsFile, 'utf8');
-      return JSON.parse(data);
-    } catch {
-      return [];
-    }
-  }
+    const worker = new Worker(path.join(__dirname, 'mining.js'));
+    worker.on('message', result => {
+      const { job } = worker;
+      worker.job = null;
+      // Idle workers must not keep the process alive
+      worker.unref();
+      this.idle.push(worker);
+      job.resolve(result);
+      this.dispatch();
+    });
+    worker.on('error', error => {
+      if (worker.job) worker.job.reject(error);
+      worker.job = null;
+    });
+    worker.on('exit', () => {
+      this.workers = this.workers.filter(w => w !== worker);
+      this.idle = this.idle.filter(w => w !== worker);
+      if (worker.job) worker.job.reject(new Error('Mining worker stopped unexpectedly'));
+      this.dispatch();
+    });
 
-  async saveStudents(students) {
-    await fs.writeFile(this.studentsFile, JSON.stringify(students, null, 2));
+    this.workers.push(worker);
+    return worker;
   }
 }
 
-const dataService = new DataService();
+const miningPool = new MiningPool(MINING_WORKERS);
 
 // ============================================
-// CONTROLLERS
+// STORAGE BACKENDS
 // ============================================
 
-// Department Controller
-class DepartmentController {
-  static async getAll(req, res) {
+// A storage backend keeps collections of records (departments, classes,
+// students, sessions, users, keys) plus a few settings, and implements:
+//   init()
+//   list(collection, filter, { chain })  records matching filter on id, deptId or classId
+//   get(collection, id)
+//   put(collection, records)             inserts or replaces the given records
+//   remove(collection, id)
+//   blocks(collection, ownerIds, { types, from, to })
+//                                        Map of owner id → blocks of those types
+//                                        whose transaction date is in range
+//   getSetting(key) / setSetting(key, value)
+// With { chain: false } records come back without their blockchain; such
+// records must not be written back.
+const COLLECTIONS = ['departments', 'classes', 'students', 'sessions', 'users', 'keys'];
+const SETTINGS = ['statuses', 'peers'];
+const RECORD_KEYS = { keys: 'keyId' };
+
+const recordKey = (collection) => RECORD_KEYS[collection] || 'id';
+
+const withoutChain = (record) => {
+  const { blockchain, ...rest } = record;
+  return rest;
+};
+
+// The original layout: data/<collection>.json and data/<setting>.json.
+// Files are replaced atomically (written to a temp file, flushed, renamed)
+// so a crash mid-save leaves the previous version intact. A file that exists
+// but does not parse is an error, never an empty collection.
+class JsonStore {
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+  }
+
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+  }
+
+  async read(name) {
+    const file = path.join(this.dataDir, `${name}.json`);
+    let data;
     try {
-      const departments = await dataService.loadDepartments();
-      res.json(departments);
+      data = await fs.readFile(file, 'utf8');
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
     }
-  }
 
-  static async getById(req, res) {
     try {
-      const departments = await dataService.loadDepartments();
-      const dept = departments.find(d => d.id === req.params.id);
-      if (!dept) return res.status(404).json({ error: 'Department not found' });
-      res.json(dept);
+      return JSON.parse(data);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      throw new Error(`Data file ${file} is corrupt (${error.message}). Restore it from a backup before continuing.`);
     }
   }
 
-  static async create(req, res) {
-    try {
-      const { name } = req.body;
-      if (!name) return res.status(400).json({ error: 'Name is required' });
-
-      const departments = await dataService.loadDepartments();
-      const newDept = {
-        id: `dept${Date.now()}`,
-        name,
-        blockchain: new Blockchain(name).toJSON(),
-        createdAt: Date.now()
-      };
+  async write(name, value) {
+    const file = path.join(this.dataDir, `${name}.json`);
+    const temp = `${file}.${process.pid}.tmp`;
 
-      departments.push(newDept);
-      await dataService.saveDepartments(departments);
-      res.status(201).json(newDept);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(value, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
     }
+    await fs.rename(temp, file);
   }
 
-  static async update(req, res) {
-    try {
-      const { name } = req.body;
-      const departments = await dataService.loadDepartments();
-      const deptIndex = departments.findIndex(d => d.id === req.params.id);
-      
-      if (deptIndex === -1) return res.status(404).json({ error: 'Department not found' });
+  async list(collection, filter = {}, { chain = true } = {}) {
+    const records = (await this.read(collection)) || [];
+    return records
+      .filter(record => Object.entries(filter).every(([field, value]) => record[field] === value))
+      .map(record => (chain ? record : withoutChain(record)));
+  }
 
-      const dept = departments[deptIndex];
-      const blockchain = Blockchain.fromJSON(dept.blockchain);
-      
-      blockchain.addBlock({
-        type: 'update',
-        action: 'name_updated',
-        oldName: dept.name,
-        newName: name,
-        timestamp: Date.now()
-      });
+  async get(collection, id) {
+    const key = recordKey(collection);
+    return ((await this.read(collection)) || []).find(record => record[key] === id) || null;
+  }
 
-      dept.name = name;
-      dept.blockchain = blockchain.toJSON();
-      dept.updatedAt = Date.now();
+  async put(collection, records) {
+    const key = recordKey(collection);
+    const existing = (await this.read(collection)) || [];
+    const updates = new Map(records.map(record => [record[key], record]));
 
-      await dataService.saveDepartments(departments);
-      res.json(dept);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+    const merged = existing.map(record => {
+      const updated = updates.get(record[key]);
+      updates.delete(record[key]);
+      return updated || record;
+    });
+    await this.write(collection, [...merged, ...updates.values()]);
   }
 
-  static async delete(req, res) {
-    try {
-      const departments = await dataService.loadDepartments();
-      const deptIndex = departments.findIndex(d => d.id === req.params.id);
-      
-      if (deptIndex === -1) return res.status(404).json({ error: 'Department not found' });
+  async remove(collection, id) {
+    const key = recordKey(collection);
+    const records = (await this.read(collection)) || [];
+    await this.write(collection, records.filter(record => record[key] !== id));
+  }
 
-      const dept = departments[deptIndex];
-      const blockchain = Blockchain.fromJSON(dept.blockchain);
-      
-      blockchain.addBlock({
-        type: 'delete',
-        status: 'deleted',
-        name: dept.name,
-        timestamp: Date.now()
+  async blocks(collection, ownerIds, { types, from, to }) {
+    const owners = new Set(ownerIds);
+    const result = new Map();
+    ((await this.read(collection)) || [])
+      .filter(record => owners.has(record.id))
+      .forEach(record => {
+        result.set(record.id, record.blockchain.chain.filter(block =>
+          types.includes(block.transactions.type) &&
+          (!from || block.transactions.date >= from) &&
+          (!to || block.transactions.date <= to)
+        ));
       });
+    return result;
+  }
 
-      dept.deleted = true;
-      dept.blockchain = blockchain.toJSON();
-      dept.deletedAt = Date.now();
+  async getSetting(key) {
+    return this.read(key);
+  }
 
-      await dataService.saveDepartments(departments);
-      res.json(dept);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+  async setSetting(key, value) {
+    await this.write(key, value);
   }
 }
 
-// Class Controller
-class ClassController {
-  static async getAll(req, res) {
-    try {
-      const classes = await dataService.loadClasses();
-      const { deptId } = req.query;
-      const filtered = deptId ? classes.filter(c => c.deptId === deptId) : classes;
-      res.json(filtered);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-  }
+// Records are rows of `records` (blockchain left out); their blocks are rows
+// of `blocks`, indexed by transaction date so reports over a range only read
+// the blocks they need. Chains are append-only, so saving a record inserts
+// just the blocks past the last stored one unless the stored chain diverged.
+const SQLITE_BATCH_SIZE = 500;
 
-  static async getById(req, res) {
-    try {
-      const classes = await dataService.loadClasses();
-      const cls = classes.find(c => c.id === req.params.id);
-      if (!cls) return res.status(404).json({ error: 'Class not found' });
-      res.json(cls);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+class SqliteStore {
+  constructor(file) {
+    this.file = file;
   }
 
-  static async create(req, res) {
-    try {
-      const { name, deptId } = req.body;
-      if (!name || !deptId) return res.status(400).json({ error: 'Name and deptId are required' });
+  async init() {
+    // Required here so JSON deployments do not need the native module
+    const Database = require('better-sqlite3');
 
-      const departments = await dataService.loadDepartments();
-      const dept = departments.find(d => d.id === deptId);
-      if (!dept) return res.status(404).json({ error: 'Department not found' });
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        dept_id TEXT,
+        class_id TEXT,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE INDEX IF NOT EXISTS records_dept ON records (collection, dept_id);
+      CREATE INDEX IF NOT EXISTS records_class ON records (collection, class_id);
+      CREATE TABLE IF NOT EXISTS blocks (
+        collection TEXT NOT NULL,
+        owner_id TEXT NOT NULL,
+        block_index INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        type TEXT,
+        date TEXT,
+        hash TEXT NOT NULL,
+        prev_hash TEXT NOT NULL,
+        nonce INTEGER NOT NULL,
+        difficulty INTEGER,
+        version INTEGER,
+        transactions TEXT NOT NULL,
+        PRIMARY KEY (collection, owner_id, block_index)
+      );
+      CREATE INDEX IF NOT EXISTS blocks_date ON blocks (collection, date);
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+    `);
 
-      const deptBlockchain = Blockchain.fromJSON(dept.blockchain);
-      const classes = await dataService.loadClasses();
-      
-      const newClass = {
-        id: `class${Date.now()}`,
-        name,
-        deptId,
-        blockchain: new Blockchain(
-          `${dept.name} - ${name}`,
-          deptBlockchain.getLatestBlock().hash
-        ).toJSON(),
-        createdAt: Date.now()
-      };
+    // Databases created before blocks recorded their difficulty and version
+    const columns = this.db.prepare('PRAGMA table_info(blocks)').all().map(column => column.name);
+    ['difficulty', 'version']
+      .filter(column => !columns.includes(column))
+      .forEach(column => this.db.exec(`ALTER TABLE blocks ADD COLUMN ${column} INTEGER`));
+  }
 
-      classes.push(newClass);
-      await dataService.saveClasses(classes);
-      res.status(201).json(newClass);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+  async list(collection, filter = {}, { chain = true } = {}) {
+    const columns = { id: 'id', deptId: 'dept_id', classId: 'class_id' };
+    const where = ['collection = ?'];
+    const params = [collection];
+    Object.entries(filter).forEach(([field, value]) => {
+      if (!columns[field]) throw new Error(`Cannot filter ${collection} by ${field}`);
+      where.push(`${columns[field]} = ?`);
+      params.push(value);
+    });
+
+    const records = this.db
+      .prepare(`SELECT data FROM records WHERE ${where.join(' AND ')} ORDER BY rowid`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+    return chain ? this.attachChains(collection, records) : records.map(withoutChain);
   }
 
-  static async update(req, res) {
-    try {
-      const { name } = req.body;
-      const classes = await dataService.loadClasses();
-      const classIndex = classes.findIndex(c => c.id === req.params.id);
-      
-      if (classIndex === -1) return res.status(404).json({ error: 'Class not found' });
+  async get(collection, id) {
+    const [record] = await this.list(collection, { id });
+    return record || null;
+  }
 
-      const cls = classes[classIndex];
-      const blockchain = Blockchain.fromJSON(cls.blockchain);
-      
-      blockchain.addBlock({
-        type: 'update',
-        action: 'name_updated',
-        oldName: cls.name,
-        newName: name,
-        timestamp: Date.now()
+  async put(collection, records) {
+    const key = recordKey(collection);
+    const upsert = this.db.prepare(`
+      INSERT INTO records (collection, id, dept_id, class_id, data) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET dept_id = excluded.dept_id, class_id = excluded.class_id, data = excluded.data
+    `);
+
+    this.db.transaction(() => {
+      records.forEach(record => {
+        const { blockchain, ...rest } = record;
+        const data = blockchain ? { ...rest, blockchain: { name: blockchain.name } } : rest;
+        upsert.run(collection, record[key], record.deptId || null, record.classId || null, JSON.stringify(data));
+        if (blockchain) this.writeChain(collection, record[key], blockchain.chain);
       });
+    })();
+  }
 
-      cls.name = name;
-      cls.blockchain = blockchain.toJSON();
-      cls.updatedAt = Date.now();
+  writeChain(collection, ownerId, chain) {
+    const last = this.db
+      .prepare('SELECT block_index, hash FROM blocks WHERE collection = ? AND owner_id = ? ORDER BY block_index DESC LIMIT 1')
+      .get(collection, ownerId);
 
-      await dataService.saveClasses(classes);
-      res.json(cls);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    let start = last ? last.block_index + 1 : 0;
+    if (last && (!chain[last.block_index] || chain[last.block_index].hash !== last.hash)) {
+      this.db.prepare('DELETE FROM blocks WHERE collection = ? AND owner_id = ?').run(collection, ownerId);
+      start = 0;
     }
+
+    const insert = this.db.prepare(`
+      INSERT INTO blocks (collection, owner_id, block_index, timestamp, type, date, hash, prev_hash, nonce, difficulty, version, transactions)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    chain.slice(start).forEach(block => {
+      insert.run(
+        collection, ownerId, block.index, block.timestamp, block.transactions.type || null,
+        block.transactions.date || null, block.hash, block.prev_hash, block.nonce,
+        block.difficulty === undefined ? null : block.difficulty,
+        block.version === undefined ? null : block.version, JSON.stringify(block.transactions)
+      );
+    });
   }
 
-  static async delete(req, res) {
-    try {
-      const classes = await dataService.loadClasses();
-      const classIndex = classes.findIndex(c => c.id === req.params.id);
-      
-      if (classIndex === -1) return res.status(404).json({ error: 'Class not found' });
+  async remove(collection, id) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?').run(collection, id);
+      this.db.prepare('DELETE FROM blocks WHERE collection = ? AND owner_id = ?').run(collection, id);
+    })();
+  }
 
-      const cls = classes[classIndex];
-      const blockchain = Blockchain.fromJSON(cls.blockchain);
-      
-      blockchain.addBlock({
-        type: 'delete',
-        status: 'deleted',
-        name: cls.name,
-        timestamp: Date.now()
-      });
+  async blocks(collection, ownerIds, { types, from, to }) {
+    const result = new Map(ownerIds.map(id => [id, []]));
+    if (ownerIds.length === 0) return result;
 
-      cls.deleted = true;
-      cls.blockchain = blockchain.toJSON();
-      cls.deletedAt = Date.now();
+    const where = [
+      'collection = ?',
+      `owner_id IN (${ownerIds.map(() => '?').join(', ')})`,
+      `type IN (${types.map(() => '?').join(', ')})`
+    ];
+    const params = [collection, ...ownerIds, ...types];
+    if (from) { where.push('date >= ?'); params.push(from); }
+    if (to) { where.push('date <= ?'); params.push(to); }
 
-      await dataService.saveClasses(classes);
-      res.json(cls);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
+    this.db
+      .prepare(`SELECT * FROM blocks WHERE ${where.join(' AND ')} ORDER BY owner_id, block_index`)
+      .all(...params)
+      .forEach(row => result.get(row.owner_id).push(SqliteStore.toBlock(row)));
+    return result;
   }
-}
 
-// Student Controller
-class StudentController {
+  attachChains(collection, records) {
+    const withChains = records.filter(record => record.blockchain);
+    if (withChains.length === 0) return records;
+
+    // Only the blocks of the returned records are read, in batches that stay
+    // under SQLite's limit on bound parameters
+    const chains = new Map(withChains.map(record => [record.id, []]));
+    const ids = Array.from(chains.keys());
+    for (let i = 0; i < ids.length; i += SQLITE_BATCH_SIZE) {
+      const batch = ids.slice(i, i + SQLITE_BATCH_SIZE);
+      this.db
+        .prepare(`SELECT * FROM blocks WHERE collection = ? AND owner_id IN (${batch.map(() => '?').join(', ')}) ORDER BY owner_id, block_index`)
+        .all(collection, ...batch)
+        .forEach(row => chains.get(row.owner_id).push(SqliteStore.toBlock(row)));
+    }
+
+    withChains.forEach(record => {
+      record.blockchain = { name: record.blockchain.name, chain: chains.get(record.id) };
+    });
+    return records;
+  }
+
+  async getSetting(key) {
+    const row = this.db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  async setSetting(key, value) {
+    this.db
+      .prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value));
+  }
+
+  static toBlock(row) {
+    return {
+      ...(row.version === null ? {} : { version: row.version }),
+      index: row.block_index,
+      timestamp: row.timestamp,
+      transactions: JSON.parse(row.transactions),
+      prev_hash: row.prev_hash,
+      nonce: row.nonce,
+      ...(row.difficulty === null ? {} : { difficulty: row.difficulty }),
+      hash: row.hash
+    };
+  }
+}
+
+const createStore = (kind) => {
+  if (kind === 'json') return new JsonStore(DATA_DIR);
+  if (kind === 'sqlite') return new SqliteStore(SQLITE_FILE);
+  throw new Error(`Unknown storage backend "${kind}" (expected json or sqlite)`);
+};
+
+// ============================================
+// WRITE LOCKS
+// ============================================
+
+// Controllers load, modify and save whole records, so two requests changing
+// the same collection at once could each save over the other's blocks.
+// Every mutating route holds the locks of the collections it writes until
+// its response is sent; requests on other collections are not held up.
+const collectionLocks = new Map();
+
+class LockService {
+  // Resolves with a release function once every earlier holder of the lock
+  // has released it
+  static acquire(name) {
+    const previous = collectionLocks.get(name) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    collectionLocks.set(name, tail);
+
+    return previous.then(() => () => {
+      release();
+      if (collectionLocks.get(name) === tail) collectionLocks.delete(name);
+    });
+  }
+
+  // Locks are always taken in the same (sorted) order so two requests can
+  // never wait on each other
+  static async acquireAll(names) {
+    const releases = [];
+    for (const name of [...new Set(names)].sort()) {
+      releases.push(await LockService.acquire(name));
+    }
+    return () => releases.reverse().forEach(release => release());
+  }
+
+  // The locks are held until the handler ends its response, which it does
+  // after its last write. A client that disconnects mid-request does not
+  // release them early, as the handler is still writing. A client that
+  // disconnects while its request is queued has the locks handed straight
+  // back without the request running.
+  static hold(...names) {
+    return async (req, res, next) => {
+      let abortedWhileQueued = false;
+      const onClose = () => { abortedWhileQueued = true; };
+      res.on('close', onClose);
+
+      const releaseAll = await LockService.acquireAll(names);
+      res.off('close', onClose);
+      if (abortedWhileQueued || res.destroyed) {
+        releaseAll();
+        return;
+      }
+
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        releaseAll();
+      };
+      const end = res.end;
+      res.end = function (...args) {
+        release();
+        return end.apply(this, args);
+      };
+      res.on('finish', release);
+      next();
+    };
+  }
+}
+
+// ============================================
+// DATA STORAGE SERVICE
+// ============================================
+
+class DataService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Reads every collection once so a corrupt data file stops startup instead
+  // of being treated as empty and overwritten by the next save
+  async open() {
+    await this.store.init();
+    for (const collection of COLLECTIONS) await this.store.list(collection, {}, { chain: false });
+    for (const key of SETTINGS) await this.store.getSetting(key);
+  }
+
+  async init() {
+    await this.open();
+
+    // Initialize with default data on first start. A node joining existing
+    // peers starts empty and gets its data from them instead.
+    if ((await this.store.list('departments', {}, { chain: false })).length === 0 && PEERS.length === 0) {
+      await this.initializeDefaultData();
+    }
+
+    if ((await this.store.list('users')).length === 0) {
+      await this.initializeAdmin();
+    }
+  }
+
+  // Chains are mined in parallel, one level of the hierarchy at a time,
+  // since every chain is anchored to its parent's genesis block
+  async initializeDefaultData() {
+    const departments = await Promise.all([
+      { id: 'dept1', name: 'School of Computing' },
+      { id: 'dept2', name: 'School of Software Engineering' }
+    ].map(async dept => ({
+      ...dept,
+      blockchain: (await Blockchain.create(dept.name)).toJSON(),
+      createdAt: Date.now()
+    })));
+
+    const classSpecs = [];
+    departments.forEach((dept, deptIdx) => {
+      for (let i = 1; i <= 5; i++) {
+        classSpecs.push({ dept, i, rollPrefix: `${deptIdx + 1}${i}` });
+      }
+    });
+
+    const classes = await Promise.all(classSpecs.map(async ({ dept, i }) => {
+      const deptBlockchain = Blockchain.fromJSON(dept.blockchain);
+      return {
+        id: `${dept.id}_class${i}`,
+        name: `Class ${i}`,
+        deptId: dept.id,
+        blockchain: (await Blockchain.create(
+          `${dept.name} - Class ${i}`,
+          deptBlockchain.getLatestBlock()
+        )).toJSON(),
+        createdAt: Date.now()
+      };
+    }));
+
+    const students = await Promise.all(classSpecs.flatMap(({ rollPrefix }, classIdx) => {
+      const cls = classes[classIdx];
+      const classBlockchain = Blockchain.fromJSON(cls.blockchain);
+      return Array.from({ length: 35 }, async (_, k) => {
+        const rollNo = `${rollPrefix}${(k + 1).toString().padStart(3, '0')}`;
+        return {
+          id: `${cls.id}_student${k + 1}`,
+          name: `Student ${rollNo}`,
+          rollNo: rollNo,
+          deptId: cls.deptId,
+          classId: cls.id,
+          blockchain: (await Blockchain.create(
+            `Student ${rollNo}`,
+            classBlockchain.getLatestBlock()
+          )).toJSON(),
+          createdAt: Date.now()
+        };
+      });
+    }));
+
+    await this.saveDepartments(departments);
+    await this.saveClasses(classes);
+    await this.saveStudents(students);
+    console.log('✅ Default data initialized successfully');
+  }
+
+  // The first admin account comes from ADMIN_USERNAME / ADMIN_PASSWORD. When
+  // no password is given one is generated and printed once.
+  async initializeAdmin() {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+
+    await this.saveUsers([{
+      id: `user${Date.now()}`,
+      username,
+      passwordHash: await bcrypt.hash(password, 10),
+      role: 'admin',
+      classIds: [],
+      studentId: null,
+      createdAt: Date.now()
+    }]);
+    console.log(`🔑 Admin account created: ${username}${process.env.ADMIN_PASSWORD ? '' : ` / ${password}`}`);
+  }
+
+  async loadDepartments(options) {
+    return this.store.list('departments', {}, options);
+  }
+
+  async saveDepartments(departments) {
+    await this.store.put('departments', departments);
+    ReplicationService.announce('departments', departments);
+    EventService.publish('departments', departments);
+  }
+
+  async loadClasses(options) {
+    return this.store.list('classes', {}, options);
+  }
+
+  async saveClasses(classes) {
+    await this.store.put('classes', classes);
+    ReplicationService.announce('classes', classes);
+    EventService.publish('classes', classes);
+  }
+
+  async loadStudents() {
+    return this.store.list('students');
+  }
+
+  async findStudents(filter, options) {
+    return this.store.list('students', filter, options);
+  }
+
+  async getStudent(id) {
+    return this.store.get('students', id);
+  }
+
+  // Saves the given students; others are left as they are
+  async saveStudents(students) {
+    await this.store.put('students', students);
+    ReplicationService.announce('students', students);
+    EventService.publish('students', students);
+  }
+
+  // Attendance and correction blocks of each student dated within the range
+  async attendanceBlocks(studentIds, { from, to }) {
+    return this.store.blocks('students', studentIds, { types: ['attendance', 'attendance_correction'], from, to });
+  }
+
+  async loadSessions() {
+    return this.store.list('sessions');
+  }
+
+  async saveSessions(sessions) {
+    await this.store.put('sessions', sessions);
+    ReplicationService.announce('sessions', sessions);
+  }
+
+  async loadStatuses() {
+    return (await this.store.getSetting('statuses')) || DEFAULT_STATUSES;
+  }
+
+  async saveStatuses(statuses) {
+    await this.store.setSetting('statuses', statuses);
+  }
+
+  async loadPeers() {
+    return (await this.store.getSetting('peers')) || [];
+  }
+
+  async savePeers(peers) {
+    await this.store.setSetting('peers', peers);
+  }
+
+  async loadUsers() {
+    return this.store.list('users');
+  }
+
+  async saveUsers(users) {
+    await this.store.put('users', users);
+  }
+
+  async deleteUser(id) {
+    await this.store.remove('users', id);
+  }
+
+  async loadKeys() {
+    return this.store.list('keys');
+  }
+
+  async saveKeys(keys) {
+    await this.store.put('keys', keys);
+    ReplicationService.announce('keys', keys);
+  }
+
+  // Copies every collection and setting into another backend, which must be
+  // empty. Used by `node server.js migrate <from> <to>`.
+  static async migrate(from, to) {
+    if (from === to) throw new Error('Source and target storage must differ');
+    const source = createStore(from);
+    const target = createStore(to);
+    await source.init();
+    await target.init();
+
+    for (const collection of COLLECTIONS) {
+      if ((await target.list(collection, {}, { chain: false })).length > 0) {
+        throw new Error(`Target storage already has ${collection}`);
+      }
+    }
+
+    for (const collection of COLLECTIONS) {
+      const records = await source.list(collection);
+      await target.put(collection, records);
+      console.log(`  ${collection}: ${records.length}`);
+    }
+    for (const key of SETTINGS) {
+      const value = await source.getSetting(key);
+      if (value !== undefined) await target.setSetting(key, value);
+    }
+  }
+}
+
+const dataService = new DataService(createStore(STORAGE));
+
+// ============================================
+// SIGNING SERVICE
+// ============================================
+
+// Transactions recorded by a signed-in admin or teacher carry an Ed25519
+// signature of the actor. Public keys are registered in keys.json, which is
+// never pruned, so old signatures stay verifiable after a key is replaced or
+// its account removed. Private keys are stored encrypted with the owner's
+// password and are only held in memory (unlockedKeys) after they sign in.
+const SIGNED_TYPES = ['attendance', 'attendance_correction', 'update', 'delete', 'restore', 'session', 'transfer_in', 'transfer_out'];
+// Every signature is bound to its chain and position under this scheme
+const SIGNATURE_SCHEME = 'bound-v1';
+const unlockedKeys = new Map();
+
+class KeyService {
+  static async generate(user, password) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const keyId = crypto
+      .createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(password, salt, 32), iv);
+    const encrypted = Buffer.concat([
+      cipher.update(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+      cipher.final()
+    ]);
+
+    await KeyService.retire(user.id);
+    await dataService.saveKeys([{
+      keyId,
+      userId: user.id,
+      username: user.username,
+      algorithm: 'ed25519',
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      createdAt: Date.now(),
+      retiredAt: null
+    }]);
+
+    user.signingKey = {
+      keyId,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      privateKey: encrypted.toString('base64')
+    };
+  }
+
+  static unlock(user, password) {
+    const { keyId, salt, iv, tag, privateKey } = user.signingKey;
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      crypto.scryptSync(password, Buffer.from(salt, 'base64'), 32),
+      Buffer.from(iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    const pem = Buffer.concat([decipher.update(Buffer.from(privateKey, 'base64')), decipher.final()]);
+
+    unlockedKeys.set(user.id, { keyId, username: user.username, privateKey: crypto.createPrivateKey(pem) });
+  }
+
+  // The key stays registered; blocks signed with it after this point fail validation
+  static async retire(userId) {
+    unlockedKeys.delete(userId);
+    const keys = await dataService.loadKeys();
+    const active = keys.filter(k => k.userId === userId && !k.retiredAt);
+    if (active.length === 0) return;
+
+    active.forEach(k => { k.retiredAt = Date.now(); });
+    await dataService.saveKeys(active);
+  }
+
+  static signer(userId) {
+    return unlockedKeys.get(userId) || null;
+  }
+
+  // The signature covers the canonical form of the transaction without its
+  // `signature` field, together with the id of the record that owns the
+  // chain and the hash of the block it follows. A signed block therefore
+  // cannot be replayed onto another record's chain or another position.
+  static payload(transactions, owner, prevHash) {
+    return Buffer.from(Block.canonicalize({ owner, prev_hash: prevHash, transactions }));
+  }
+
+  static sign(transactions, signer, owner, prevHash) {
+    const value = crypto.sign(null, KeyService.payload(transactions, owner, prevHash), signer.privateKey);
+    return {
+      ...transactions,
+      signature: {
+        keyId: signer.keyId,
+        signedBy: signer.username,
+        algorithm: 'ed25519',
+        scheme: SIGNATURE_SCHEME,
+        value: value.toString('base64')
+      }
+    };
+  }
+
+  // Returns null for a valid signature (or a block type that needs none),
+  // otherwise { reason, message } in the shape of Blockchain.validate errors.
+  static verify(block, publicKeys, owner) {
+    const { signature, ...transactions } = block.transactions;
+    if (!signature) {
+      return SIGNED_TYPES.includes(transactions.type)
+        ? { reason: 'unsigned', message: `${transactions.type} transaction is not signed` }
+        : null;
+    }
+
+    const key = publicKeys.get(signature.keyId);
+    if (!key) {
+      return { reason: 'unknown_signer', message: `Signing key ${signature.keyId} is not registered` };
+    }
+    if (key.retiredAt && block.timestamp > key.retiredAt) {
+      return { reason: 'retired_key', message: `Signed with a key of ${key.username} that was retired before this block` };
+    }
+
+    if (signature.scheme !== SIGNATURE_SCHEME) {
+      return { reason: 'invalid_signature', message: `Unknown signature scheme ${signature.scheme}` };
+    }
+    const valid = crypto.verify(
+      null,
+      KeyService.payload(transactions, owner, block.prev_hash),
+      key.publicKey,
+      Buffer.from(signature.value, 'base64')
+    );
+    return valid ? null : { reason: 'invalid_signature', message: `Signature of ${key.username} does not match the transaction` };
+  }
+
+  static async registry() {
+    const keys = await dataService.loadKeys();
+    return new Map(keys.map(k => [k.keyId, k]));
+  }
+
+  // When the first signing key was registered; blocks before it predate signing
+  static signingSince(publicKeys) {
+    return Math.min(...Array.from(publicKeys.values(), k => k.createdAt));
+  }
+}
+
+// ============================================
+// HIERARCHY SERVICE
+// ============================================
+
+// Soft-deletes and restores cascade Department → Class → Student. Every
+// affected record gets its own delete/restore block, and records removed as
+// part of a cascade remember the root in `deletedBy` so restoring the root
+// brings back exactly the subtree it took down. Each operation returns the
+// descendants it changed, which are all the caller needs to save.
+class HierarchyService {
+  static async markDeleted(record, signer, root = null) {
+    const blockchain = Blockchain.fromJSON(record.blockchain, record.id);
+    const transaction = {
+      type: 'delete',
+      status: 'deleted',
+      name: record.name,
+      timestamp: Date.now()
+    };
+    if (record.rollNo) transaction.rollNo = record.rollNo;
+    if (root) transaction.cascadedFrom = root;
+
+    await blockchain.addBlock(transaction, signer);
+
+    record.deleted = true;
+    record.deletedBy = root;
+    record.blockchain = blockchain.toJSON();
+    record.deletedAt = Date.now();
+  }
+
+  static async markRestored(record, signer, root = null) {
+    const blockchain = Blockchain.fromJSON(record.blockchain, record.id);
+    const transaction = {
+      type: 'restore',
+      status: 'active',
+      name: record.name,
+      timestamp: Date.now()
+    };
+    if (record.rollNo) transaction.rollNo = record.rollNo;
+    if (root) transaction.cascadedFrom = root;
+
+    await blockchain.addBlock(transaction, signer);
+
+    record.deleted = false;
+    record.blockchain = blockchain.toJSON();
+    record.restoredAt = Date.now();
+    delete record.deletedBy;
+    delete record.deletedAt;
+  }
+
+  static async deleteDepartment(dept, classes, students, signer) {
+    const root = { type: 'department', id: dept.id };
+    const changed = {
+      classes: classes.filter(c => c.deptId === dept.id && !c.deleted),
+      students: students.filter(s => s.deptId === dept.id && !s.deleted)
+    };
+    await Promise.all([
+      HierarchyService.markDeleted(dept, signer),
+      ...changed.classes.map(cls => HierarchyService.markDeleted(cls, signer, root)),
+      ...changed.students.map(student => HierarchyService.markDeleted(student, signer, root))
+    ]);
+    return changed;
+  }
+
+  static async deleteClass(cls, students, signer) {
+    const root = { type: 'class', id: cls.id };
+    const changed = students.filter(s => s.classId === cls.id && !s.deleted);
+    await Promise.all([
+      HierarchyService.markDeleted(cls, signer),
+      ...changed.map(student => HierarchyService.markDeleted(student, signer, root))
+    ]);
+    return changed;
+  }
+
+  static async restoreSubtree(record, type, signer, ...collections) {
+    const root = { type, id: record.id };
+    const items = collections
+      .flat()
+      .filter(item => item.deleted && item.deletedBy && item.deletedBy.id === record.id);
+
+    await Promise.all([
+      HierarchyService.markRestored(record, signer),
+      ...items.map(item => HierarchyService.markRestored(item, signer, root))
+    ]);
+    return items;
+  }
+}
+
+// ============================================
+// BLOCK FORMAT UPGRADE
+// ============================================
+
+// v1 blocks cannot be re-hashed without rewriting history. Instead a legacy
+// chain gets a v2 `migration` block whose checkpoint commits to every block
+// header before it, index and difficulty included. Parents are upgraded
+// before their children, and a child's migration block re-anchors it to its
+// parent's latest block. Run with `node server.js upgrade-blocks` while the
+// server is stopped.
+class BlockUpgradeService {
+  static needsUpgrade(blockchain) {
+    return blockchain.chain.some(block => block.version === 1) &&
+      !blockchain.chain.some(block => block.transactions.type === 'migration');
+  }
+
+  static async upgrade(record, parent = null) {
+    const blockchain = Blockchain.fromJSON(record.blockchain);
+    if (!BlockUpgradeService.needsUpgrade(blockchain)) return false;
+
+    const transaction = {
+      type: 'migration',
+      action: 'block_format_upgraded',
+      fromVersion: 1,
+      toVersion: BLOCK_VERSION,
+      checkpoint: Blockchain.checkpoint(blockchain.chain),
+      timestamp: Date.now()
+    };
+    if (parent) {
+      const parentBlock = Blockchain.fromJSON(parent.blockchain).getLatestBlock();
+      transaction.anchor = { blockIndex: parentBlock.index, hash: parentBlock.hash };
+    }
+
+    await blockchain.addBlock(transaction);
+    record.blockchain = blockchain.toJSON();
+    return true;
+  }
+
+  static async upgradeAll(records, findParent) {
+    const upgraded = await Promise.all(records.map(record => BlockUpgradeService.upgrade(record, findParent(record))));
+    return upgraded.filter(Boolean).length;
+  }
+
+  static async run() {
+    const departments = await dataService.loadDepartments();
+    const classes = await dataService.loadClasses();
+    const students = await dataService.loadStudents();
+
+    const counts = {
+      departments: await BlockUpgradeService.upgradeAll(departments, () => null),
+      classes: await BlockUpgradeService.upgradeAll(classes, cls => departments.find(d => d.id === cls.deptId)),
+      students: await BlockUpgradeService.upgradeAll(students, student => classes.find(c => c.id === student.classId))
+    };
+
+    await dataService.saveDepartments(departments);
+    await dataService.saveClasses(classes);
+    await dataService.saveStudents(students);
+    return counts;
+  }
+}
+
+// ============================================
+// REPLICATION
+// ============================================
+
+// Every saved department, class, student, session and signing key is pushed
+// to all peers (gossip); receivers that change anything push it on to their
+// own peers. Each node also pulls a full snapshot from every peer every
+// SYNC_INTERVAL_MS to catch up on anything it missed.
+//
+// Chains are merged by the longest valid chain rule: a received chain must
+// pass Blockchain.isValid against the signing keys and be anchored to its
+// parent, and it replaces the local chain only if it is longer. Equal lengths
+// are settled by the lower latest hash so every node picks the same chain.
+// Sessions merge by latest change; accounts and statuses stay per node.
+const REPLICATED = ['departments', 'classes', 'students', 'sessions', 'keys'];
+const peerStatus = new Map();
+
+class ReplicationService {
+  static enabled() {
+    return Boolean(PEER_SECRET);
+  }
+
+  static normalizeUrl(url) {
+    return String(url || '').trim().replace(/\/+$/, '');
+  }
+
+  static async addPeer(url) {
+    const release = await LockService.acquireAll(['peers']);
+    try {
+      const peers = await dataService.loadPeers();
+      const existing = peers.find(peer => peer.url === url);
+      if (existing) return existing;
+
+      const peer = { id: `peer${Date.now()}`, url, addedAt: Date.now() };
+      await dataService.savePeers([...peers, peer]);
+      return peer;
+    } finally {
+      release();
+    }
+  }
+
+  static async removePeer(id) {
+    const release = await LockService.acquireAll(['peers']);
+    try {
+      const peers = await dataService.loadPeers();
+      const peer = peers.find(p => p.id === id);
+      if (peer) {
+        await dataService.savePeers(peers.filter(p => p.id !== id));
+        peerStatus.delete(peer.url);
+      }
+      return peer || null;
+    } finally {
+      release();
+    }
+  }
+
+  static describe(peer) {
+    return { ...peer, ...(peerStatus.get(peer.url) || { lastContactAt: null, lastError: null }) };
+  }
+
+  // Calls another node and records whether it could be reached
+  static async request(peer, pathname, { method = 'GET', body } = {}) {
+    try {
+      const response = await fetch(`${peer.url}${pathname}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Peer-Secret': PEER_SECRET },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(PEER_TIMEOUT_MS)
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(data.message || data.error || `${response.status} ${response.statusText}`);
+
+      peerStatus.set(peer.url, { lastContactAt: Date.now(), lastError: null });
+      return data;
+    } catch (error) {
+      peerStatus.set(peer.url, { ...(peerStatus.get(peer.url) || { lastContactAt: null }), lastError: error.message });
+      throw error;
+    }
+  }
+
+  // Pushes saved records to every peer without waiting for them
+  static announce(collection, records) {
+    if (!ReplicationService.enabled() || !REPLICATED.includes(collection) || records.length === 0) return;
+
+    dataService.loadPeers()
+      .then(peers => peers.forEach(peer => {
+        ReplicationService.request(peer, '/api/sync', { method: 'POST', body: { [collection]: records } })
+          .catch(() => {});
+      }))
+      .catch(() => {});
+  }
+
+  static async snapshot() {
+    return {
+      node: NODE_URL,
+      departments: await dataService.loadDepartments(),
+      classes: await dataService.loadClasses(),
+      students: await dataService.loadStudents(),
+      sessions: await dataService.loadSessions(),
+      keys: await dataService.loadKeys()
+    };
+  }
+
+  static async pull(peer) {
+    const snapshot = await ReplicationService.request(peer, '/api/sync');
+    const release = await LockService.acquireAll(REPLICATED);
+    try {
+      return await ReplicationService.merge(snapshot);
+    } finally {
+      release();
+    }
+  }
+
+  static async syncAll() {
+    const peers = await dataService.loadPeers();
+    return Promise.all(peers.map(async peer => {
+      try {
+        return { url: peer.url, ok: true, ...(await ReplicationService.pull(peer)) };
+      } catch (error) {
+        return { url: peer.url, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  // Joins the peers given in PEERS, then keeps pulling on an interval
+  static async start() {
+    if (!ReplicationService.enabled()) return;
+
+    for (const url of PEERS.map(ReplicationService.normalizeUrl)) {
+      const peer = await ReplicationService.addPeer(url);
+      await ReplicationService.request(peer, '/api/peers/register', { method: 'POST', body: { url: NODE_URL } })
+        .catch(error => console.error(`⚠️  Could not register with peer ${url}: ${error.message}`));
+    }
+
+    const sync = () => ReplicationService.syncAll().then(results => {
+      results.filter(r => !r.ok).forEach(r => console.error(`⚠️  Sync with ${r.url} failed: ${r.error}`));
+    });
+    await sync();
+    setInterval(sync, SYNC_INTERVAL_MS);
+  }
+
+  // Merges records received from a peer. The caller holds the locks of all
+  // replicated collections.
+  static async merge(snapshot) {
+    const result = { accepted: 0, unchanged: 0, rejected: [] };
+
+    await ReplicationService.mergeKeys(snapshot.keys || []);
+    const publicKeys = await KeyService.registry();
+
+    const departments = await dataService.loadDepartments();
+    const classes = await dataService.loadClasses();
+    const levels = [
+      { collection: 'departments', save: 'saveDepartments', local: departments },
+      { collection: 'classes', save: 'saveClasses', local: classes, parents: departments, parentKey: 'deptId', parentType: 'department' },
+      { collection: 'students', save: 'saveStudents', parents: classes, parentKey: 'classId', parentType: 'class' }
+    ];
+
+    for (const level of levels) {
+      const incoming = Array.isArray(snapshot[level.collection]) ? snapshot[level.collection] : [];
+      if (incoming.length === 0) continue;
+
+      const local = level.local || await dataService.loadStudents();
+      const changed = [];
+      incoming.forEach(record => {
+        let reason;
+        try {
+          reason = ReplicationService.checkIncoming(record, level, publicKeys);
+        } catch {
+          reason = 'Malformed record';
+        }
+        if (reason) {
+          result.rejected.push({ collection: level.collection, id: record && record.id, reason });
+          return;
+        }
+
+        const index = local.findIndex(r => r.id === record.id);
+        if (index !== -1 && !ReplicationService.prefers(
+          Blockchain.fromJSON(record.blockchain, record.id),
+          Blockchain.fromJSON(local[index].blockchain, local[index].id),
+          publicKeys
+        )) {
+          result.unchanged++;
+          return;
+        }
+
+        // Children later in this merge are checked against the new chain
+        if (index === -1) local.push(record);
+        else local[index] = record;
+        changed.push(record);
+        result.accepted++;
+      });
+
+      if (changed.length > 0) await dataService[level.save](changed);
+    }
+
+    const sessions = await ReplicationService.mergeSessions(snapshot.sessions || []);
+    result.accepted += sessions;
+    return result;
+  }
+
+  static checkIncoming(record, { parents, parentKey, parentType }, publicKeys) {
+    if (!record || !record.id || !record.blockchain || !Array.isArray(record.blockchain.chain) ||
+        record.blockchain.chain.length === 0) {
+      return 'Malformed record';
+    }
+
+    const blockchain = Blockchain.fromJSON(record.blockchain, record.id);
+    if (!blockchain.isValid(publicKeys)) return 'Chain does not validate';
+    if (!parents) return null;
+
+    const parent = parents.find(p => p.id === record[parentKey]);
+    if (!parent) return `Unknown ${parentType} ${record[parentKey]}`;
+    const anchored = parentType === 'class'
+      ? ValidationController.checkClassAnchors(record, blockchain, parents).length === 0
+      : !ValidationController.checkAnchor(blockchain, Blockchain.fromJSON(parent.blockchain), parentType);
+    if (!anchored) return `Chain is not anchored to its ${parentType}`;
+    return null;
+  }
+
+  // Longest valid chain wins; an invalid local chain always loses
+  static prefers(candidate, current, publicKeys) {
+    if (!current.isValid(publicKeys)) return true;
+    if (candidate.chain.length !== current.chain.length) return candidate.chain.length > current.chain.length;
+    return candidate.getLatestBlock().hash < current.getLatestBlock().hash;
+  }
+
+  // Public keys are added once; a retirement spreads to every node
+  static async mergeKeys(incoming) {
+    const keys = await dataService.loadKeys();
+    const changed = [];
+
+    incoming.forEach(key => {
+      if (!key || !key.keyId || !key.publicKey) return;
+      const existing = keys.find(k => k.keyId === key.keyId);
+      if (!existing) {
+        changed.push(key);
+      } else if (key.retiredAt && (!existing.retiredAt || key.retiredAt < existing.retiredAt)) {
+        changed.push({ ...existing, retiredAt: key.retiredAt });
+      }
+    });
+
+    if (changed.length > 0) await dataService.saveKeys(changed);
+  }
+
+  static async mergeSessions(incoming) {
+    const sessions = await dataService.loadSessions();
+    const lastChange = (session) => Math.max(session.createdAt || 0, session.updatedAt || 0, session.deletedAt || 0);
+
+    const changed = incoming.filter(session => {
+      if (!session || !session.id) return false;
+      const existing = sessions.find(s => s.id === session.id);
+      return !existing || lastChange(session) > lastChange(existing);
+    });
+
+    if (changed.length > 0) await dataService.saveSessions(changed);
+    return changed.length;
+  }
+}
+
+// ============================================
+// LIST QUERIES
+// ============================================
+
+// GET /api/departments, /api/classes and /api/students take, on top of their
+// own filters:
+//   q              case-insensitive search on name (students: name or rollNo)
+//   deleted        true or false to return only deleted or only live records
+//   sort           field to sort by, prefixed with - for descending (default name)
+//   fields         comma-separated fields to return, e.g. id,name,blockCount;
+//                  blockCount is the length of the blockchain
+//   limit, cursor  page size and the nextCursor of the previous page
+// Without limit or cursor the whole list comes back as an array. With them
+// the response is { items, nextCursor, total }. A cursor holds the sort value
+// and id of the last item sent, so records added or removed meanwhile do not
+// shift the pages after it.
+const LIST_OPTIONS = {
+  departments: { search: ['name'], sort: ['name', 'createdAt'] },
+  classes: { search: ['name'], sort: ['name', 'createdAt'] },
+  students: { search: ['name', 'rollNo'], sort: ['name', 'rollNo', 'createdAt'] }
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class ListQuery {
+  // { query } for valid parameters, otherwise { fieldErrors }. Types and
+  // ranges are checked by the route's request schema (SCHEMAS.listQuery).
+  static parse(collection, params) {
+    const options = LIST_OPTIONS[collection];
+    const sort = String(params.sort || 'name');
+    const query = {
+      search: options.search,
+      q: String(params.q || '').trim().toLowerCase(),
+      sort,
+      sortBy: sort.replace(/^-/, ''),
+      descending: sort.startsWith('-'),
+      deleted: params.deleted,
+      fields: null,
+      limit: null,
+      cursor: null
+    };
+
+    if (!options.sort.includes(query.sortBy)) {
+      return { fieldErrors: { sort: `Cannot sort ${collection} by ${query.sortBy} (expected ${options.sort.join(', ')})` } };
+    }
+
+    if (params.fields) {
+      const fields = String(params.fields).split(',').map(field => field.trim()).filter(Boolean);
+      query.fields = [...new Set(['id', ...fields])];
+    }
+
+    if (params.limit !== undefined || params.cursor !== undefined) {
+      query.limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : params.limit;
+    }
+
+    if (params.cursor) {
+      query.cursor = ListQuery.decodeCursor(params.cursor, sort);
+      if (!query.cursor) return { fieldErrors: { cursor: 'Invalid cursor for this sort order' } };
+    }
+
+    return { query };
+  }
+
+  // Whether the records have to be loaded with their blockchain
+  static needsChain(query) {
+    return !query.fields || query.fields.includes('blockchain') || query.fields.includes('blockCount');
+  }
+
+  static apply(query, records) {
+    const matches = records
+      .filter(record => query.deleted === undefined || Boolean(record.deleted) === query.deleted)
+      .filter(record => !query.q ||
+        query.search.some(field => String(record[field] || '').toLowerCase().includes(query.q)))
+      .sort((a, b) => ListQuery.compare(query, a, b));
+
+    const project = record => ListQuery.project(record, query.fields);
+    if (!query.limit) return matches.map(project);
+
+    const start = query.cursor ? matches.findIndex(record => ListQuery.compare(query, record, query.cursor) > 0) : 0;
+    const items = start === -1 ? [] : matches.slice(start, start + query.limit);
+    const hasMore = start !== -1 && start + query.limit < matches.length;
+
+    return {
+      items: items.map(project),
+      nextCursor: hasMore ? ListQuery.encodeCursor(query, items[items.length - 1]) : null,
+      total: matches.length
+    };
+  }
+
+  // By the sort field, then by id so records with equal values keep a fixed order
+  static compare(query, a, b) {
+    const order = ListQuery.compareValues(a[query.sortBy], b[query.sortBy]) || ListQuery.compareValues(a.id, b.id);
+    return query.descending ? -order : order;
+  }
+
+  static compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  static project(record, fields) {
+    if (!fields) return record;
+    const source = record.blockchain ? { ...record, blockCount: record.blockchain.chain.length } : record;
+    return Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+  }
+
+  static encodeCursor(query, record) {
+    return Buffer.from(JSON.stringify({ sort: query.sort, value: record[query.sortBy] ?? null, id: record.id }))
+      .toString('base64url');
+  }
+
+  static decodeCursor(cursor, sort) {
+    try {
+      const { sort: cursorSort, value, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (cursorSort !== sort || typeof id !== 'string') return null;
+      return { [sort.replace(/^-/, '')]: value ?? undefined, id };
+    } catch {
+      return null;
+    }
+  }
+}
+
+// ============================================
+// LIVE EVENTS
+// ============================================
+
+// Signed-in clients keep GET /api/events open as a Server-Sent Events stream.
+// Every saved department, class or student (including changes received from
+// peers) is pushed to the clients allowed to see it, without its blockchain
+// but with its blockCount, and a failed chain validation is pushed to staff.
+const eventClients = new Set();
+const EVENT_HEARTBEAT_MS = 30000;
+
+// What happened to a record, named after the latest block on its chain
+const EVENT_ACTIONS = {
+  genesis: 'added',
+  attendance: 'attendance_marked',
+  attendance_correction: 'attendance_corrected',
+  update: 'updated',
+  delete: 'deleted',
+  restore: 'restored',
+  session: 'sessions_changed',
+  transfer_in: 'student_transferred_in',
+  transfer_out: 'transferred',
+  migration: 'upgraded'
+};
+
+class EventService {
+  static async subscribe(req, res) {
+    const user = req.user;
+    const client = { res, user, classIds: null, deptIds: null };
+
+    // Everyone but admins only hears about the classes they can see
+    if (user.role !== 'admin') {
+      client.classIds = await AuthController.visibleClassIds(user);
+      client.deptIds = await AuthController.visibleDeptIds(user);
+    }
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+    eventClients.add(client);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      eventClients.delete(client);
+    });
+  }
+
+  static send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  static canSee(client, collection, record) {
+    if (client.user.role === 'admin') return true;
+    if (collection === 'students') return AuthController.canAccessStudent(client.user, record);
+    if (collection === 'classes') return client.classIds.includes(record.id);
+    return client.deptIds.includes(record.id);
+  }
+
+  static action(record) {
+    const { chain } = record.blockchain;
+    return EVENT_ACTIONS[chain[chain.length - 1].transactions.type] || 'updated';
+  }
+
+  static publish(collection, records) {
+    if (eventClients.size === 0) return;
+
+    for (const client of eventClients) {
+      const changes = records
+        .filter(record => EventService.canSee(client, collection, record))
+        .map(record => ({
+          action: EventService.action(record),
+          record: { ...withoutChain(record), blockCount: record.blockchain.chain.length }
+        }));
+      if (changes.length > 0) EventService.send(client, 'record', { collection, changes });
+    }
+  }
+
+  static publishValidationFailure(results, checkedBy) {
+    const invalid = {};
+    for (const collection of ['departments', 'classes', 'students']) {
+      invalid[collection] = results[collection].filter(r => !r.valid).length;
+    }
+
+    for (const client of eventClients) {
+      if (client.user.role === 'student') continue;
+      EventService.send(client, 'validation', { overall: false, invalid, checkedBy, timestamp: Date.now() });
+    }
+  }
+}
+
+// ============================================
+// REQUEST VALIDATION
+// ============================================
+
+// Every error response has the shape { code, message, fieldErrors? }.
+// fieldErrors maps request fields (nested ones as `statuses.0.code`) to what
+// is wrong with them, so forms can show each next to its input. A few errors
+// carry extra details alongside, e.g. the block of an existing record.
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error'
+};
+
+const sendError = (res, status, message, details = {}) =>
+  res.status(status).json({ code: ERROR_CODES[status] || 'error', message, ...details });
+
+// 400 for invalid fields, 409 for values that must be unique and are taken
+const sendFieldErrors = (res, fieldErrors, status = 400) =>
+  sendError(res, status, Object.values(fieldErrors).join('; '), {
+    code: status === 409 ? 'duplicate' : 'validation_failed',
+    fieldErrors
+  });
+
+// Request schemas: each route declares the body or query fields it accepts.
+//   type       string, number, boolean, array, object, date (YYYY-MM-DD),
+//              time (HH:MM) or month (YYYY-MM)
+//   required   must be given and not blank
+//   label      name used in messages (default: the field name)
+//   min, max   length of strings, value of numbers, size of arrays and objects
+//   integer, oneOf, pattern + patternMessage
+//   items      rule for each element of an array; `fields` for object elements
+// Strings are trimmed (unless trim: false) and blank optional fields count as
+// not given. Bodies keep only the declared fields. Query values arrive as
+// strings and are converted to the declared number or boolean. Checks that
+// need stored data (uniqueness, whether a referenced record exists) are left
+// to the controllers, which report them in the same format.
+const FORMATS = {
+  date: { pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'a date in YYYY-MM-DD format' },
+  time: { pattern: /^([01]\d|2[0-3]):[0-5]\d$/, description: 'a time in HH:MM format' },
+  month: { pattern: /^\d{4}-(0[1-9]|1[0-2])$/, description: 'a month in YYYY-MM format' }
+};
+
+// Date.parse rolls impossible days like 2026-02-30 over into the next month,
+// so a real calendar date is one that survives the round trip unchanged
+const isCalendarDate = (value) => {
+  const time = Date.parse(value);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+};
+
+const LIST_QUERY = {
+  q: { type: 'string' },
+  sort: { type: 'string' },
+  deleted: { type: 'boolean' },
+  fields: { type: 'string' },
+  limit: { type: 'number', integer: true, min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'string' }
+};
+const RANGE_QUERY = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+const NAME = { type: 'string', required: true, label: 'Name', max: 100 };
+const ROLL_NO = { type: 'string', required: true, label: 'Roll number', max: 30 };
+const PASSWORD = { type: 'string', trim: false, label: 'Password', min: 8, max: 200 };
+const ACCOUNT_FIELDS = {
+  role: { type: 'string', label: 'Role', oneOf: ROLES },
+  classIds: { type: 'array', label: 'Assigned classes', items: { type: 'string' } },
+  studentId: { type: 'string', label: 'Student' }
+};
+const SESSION_FIELDS = {
+  subject: { type: 'string', label: 'Subject', max: 100 },
+  startTime: { type: 'time', label: 'Start time' },
+  endTime: { type: 'time', label: 'End time' },
+  teacher: { type: 'string', label: 'Teacher', max: 100 }
+};
+const required = (fields) =>
+  Object.fromEntries(Object.entries(fields).map(([field, rule]) => [field, { ...rule, required: true }]));
+
+const SCHEMAS = {
+  login: {
+    username: { type: 'string', required: true, label: 'Username' },
+    password: { type: 'string', required: true, trim: false, label: 'Password' }
+  },
+  events: { token: { type: 'string' } },
+  sync: {
+    departments: { type: 'array' },
+    classes: { type: 'array' },
+    students: { type: 'array' },
+    sessions: { type: 'array' },
+    keys: { type: 'array' }
+  },
+  peer: { url: { type: 'string', required: true, label: 'Peer URL', max: 500 } },
+  createUser: {
+    username: { type: 'string', required: true, label: 'Username', max: 50 },
+    password: { ...PASSWORD, required: true },
+    ...ACCOUNT_FIELDS,
+    role: { ...ACCOUNT_FIELDS.role, required: true }
+  },
+  updateUser: { password: PASSWORD, ...ACCOUNT_FIELDS },
+  listQuery: LIST_QUERY,
+  department: { name: NAME },
+  classQuery: { ...LIST_QUERY, deptId: { type: 'string' } },
+  createClass: { name: NAME, deptId: { type: 'string', required: true, label: 'Department' } },
+  updateClass: { name: NAME },
+  studentQuery: { ...LIST_QUERY, deptId: { type: 'string' }, classId: { type: 'string' } },
+  createStudent: {
+    name: NAME,
+    rollNo: ROLL_NO,
+    deptId: { type: 'string', required: true, label: 'Department' },
+    classId: { type: 'string', required: true, label: 'Class' }
+  },
+  updateStudent: { name: { ...NAME, required: false }, rollNo: { ...ROLL_NO, required: false } },
+  transferStudent: {
+    classId: { type: 'string', required: true, label: 'Class' },
+    deptId: { type: 'string', label: 'Department' },
+    reason: { type: 'string', label: 'Reason', max: 500 }
+  },
+  sessionQuery: { classId: { type: 'string' } },
+  createSession: { classId: { type: 'string', required: true, label: 'Class' }, ...required(SESSION_FIELDS) },
+  updateSession: SESSION_FIELDS,
+  markAttendance: {
+    studentId: { type: 'string', required: true, label: 'Student' },
+    status: { type: 'string', required: true, label: 'Status' },
+    reason: { type: 'string', label: 'Reason', max: 500 },
+    sessionId: { type: 'string', label: 'Session' },
+    date: { type: 'date', label: 'Date' }
+  },
+  bulkAttendance: {
+    classId: { type: 'string', required: true, label: 'Class' },
+    sessionId: { type: 'string', label: 'Session' },
+    date: { type: 'date', label: 'Date' },
+    records: { type: 'object', required: true, label: 'Attendance records', min: 1 }
+  },
+  correctAttendance: {
+    studentId: { type: 'string', required: true, label: 'Student' },
+    originalHash: { type: 'string', required: true, label: 'Original block' },
+    status: { type: 'string', required: true, label: 'Status' },
+    reason: { type: 'string', required: true, label: 'Reason', max: 500 }
+  },
+  statuses: {
+    statuses: {
+      type: 'array',
+      required: true,
+      label: 'Statuses',
+      min: 1,
+      items: {
+        type: 'object',
+        fields: {
+          code: { type: 'string', required: true, label: 'Code', max: 30 },
+          label: { type: 'string', required: true, label: 'Label', max: 50 },
+          abbreviation: { type: 'string', label: 'Abbreviation', max: 3 },
+          attended: { type: 'boolean', required: true, label: 'Attended' },
+          reason: { type: 'string', label: 'Reason', oneOf: ['none', 'optional', 'required'] },
+          color: { type: 'string', label: 'Color', max: 20 }
+        }
+      }
+    }
+  },
+  importQuery: { commit: { type: 'boolean' } },
+  rangeQuery: RANGE_QUERY,
+  scopeQuery: {
+    ...RANGE_QUERY,
+    classId: { type: 'string' },
+    deptId: { type: 'string' },
+    threshold: { type: 'number', min: 0, max: 100 }
+  },
+  registerQuery: { month: { type: 'month', required: true } },
+  exportQuery: {
+    ...RANGE_QUERY,
+    classId: { type: 'string' },
+    deptId: { type: 'string' },
+    format: { type: 'string', oneOf: ['csv', 'xlsx'] },
+    includeHash: { type: 'boolean' }
+  }
+};
+
+class RequestSchema {
+  static body(schema) {
+    return (req, res, next) => {
+      const { values, fieldErrors } = RequestSchema.check(schema, req.body);
+      if (Object.keys(fieldErrors).length > 0) return sendFieldErrors(res, fieldErrors);
+      req.body = values;
+      next();
+    };
+  }
+
+  // Undeclared query parameters are left as they are
+  static query(schema) {
+    return (req, res, next) => {
+      const { values, fieldErrors } = RequestSchema.check(schema, req.query, { fromQuery: true });
+      if (Object.keys(fieldErrors).length > 0) return sendFieldErrors(res, fieldErrors);
+      const rest = Object.fromEntries(Object.entries(req.query).filter(([field]) => !schema[field]));
+      req.query = { ...rest, ...values };
+      next();
+    };
+  }
+
+  // { values, fieldErrors } where values holds the cleaned declared fields
+  static check(schema, input, { fromQuery = false, prefix = '' } = {}) {
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    const values = {};
+    const fieldErrors = {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+      const key = `${prefix}${field}`;
+      const label = rule.label || field;
+      let value = source[field];
+      if (typeof value === 'string' && rule.trim !== false) value = value.trim();
+      if (fromQuery && typeof value === 'string') value = RequestSchema.fromQuery(rule.type, value);
+
+      if (value === undefined || value === null || value === '') {
+        if (rule.required) fieldErrors[key] = `${label} is required`;
+        continue;
+      }
+
+      const error = RequestSchema.checkValue(rule, value, label);
+      if (error) {
+        fieldErrors[key] = error;
+        continue;
+      }
+
+      if (rule.type === 'array' && rule.items) {
+        value = value.map((item, index) => {
+          const itemKey = `${key}.${index}`;
+          if (rule.items.fields) {
+            if (typeof item !== 'object' || item === null || Array.isArray(item)) {
+              fieldErrors[itemKey] = `${label} must only contain objects`;
+              return item;
+            }
+            const nested = RequestSchema.check(rule.items.fields, item, { prefix: `${itemKey}.` });
+            Object.assign(fieldErrors, nested.fieldErrors);
+            return nested.values;
+          }
+          const itemError = RequestSchema.checkValue(rule.items, item, `Each of ${label}`);
+          if (itemError) fieldErrors[itemKey] = itemError;
+          return item;
+        });
+      }
+      values[field] = value;
+    }
+
+    return { values, fieldErrors };
+  }
+
+  static fromQuery(type, value) {
+    if (type === 'number' && value !== '') return Number(value);
+    if (type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+    return value;
+  }
+
+  static checkValue(rule, value, label) {
+    const format = FORMATS[rule.type];
+    if (format) {
+      if (typeof value !== 'string' || !format.pattern.test(value) ||
+          (rule.type === 'date' && !isCalendarDate(value))) {
+        return `${label} must be ${format.description}`;
+      }
+    } else if (rule.type === 'array' ? !Array.isArray(value)
+      : rule.type === 'object' ? typeof value !== 'object' || Array.isArray(value)
+        : typeof value !== rule.type || Number.isNaN(value)) {
+      return `${label} must be ${RequestSchema.describeType(rule.type)}`;
+    }
+
+    if (rule.integer && !Number.isInteger(value)) return `${label} must be a whole number`;
+    if (rule.oneOf && !rule.oneOf.includes(value)) return `${label} must be one of ${rule.oneOf.join(', ')}`;
+    if (rule.pattern && !rule.pattern.test(value)) return `${label} ${rule.patternMessage}`;
+
+    const size = typeof value === 'number' ? value
+      : rule.type === 'object' ? Object.keys(value).length
+        : value.length;
+    const unit = { string: ' characters', array: ' items', object: ' entries' }[rule.type] || '';
+    if (rule.min !== undefined && size < rule.min) return `${label} must be at least ${rule.min}${unit}`;
+    if (rule.max !== undefined && size > rule.max) return `${label} must be at most ${rule.max}${unit}`;
+    return null;
+  }
+
+  static describeType(type) {
+    return { string: 'text', number: 'a number', boolean: 'true or false', array: 'a list', object: 'an object' }[type];
+  }
+}
+
+class UniquenessService {
+  // The live record (other than `exceptId`) with the same name, ignoring case.
+  // Deleted records free their name; restoring them checks it again.
+  static nameTaken(records, name, exceptId = null) {
+    const needle = name.toLowerCase();
+    return records.find(r => !r.deleted && r.id !== exceptId && r.name.toLowerCase() === needle) || null;
+  }
+
+  // Roll numbers stay taken by deleted students, as in the CSV importer
+  static async rollNoTaken(rollNo, exceptId = null) {
+    const students = await dataService.findStudents({}, { chain: false });
+    return students.find(s => s.rollNo === rollNo && s.id !== exceptId) || null;
+  }
+}
+
+// ============================================
+// CONTROLLERS
+// ============================================
+
+// Auth Controller
+// Clients sign in with a username and password and send the returned token
+// as `Authorization: Bearer <token>`. The account is re-read on every request,
+// so role and class changes apply immediately.
+class AuthController {
+  static async login(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      const users = await dataService.loadUsers();
+      const user = users.find(u => u.username === username);
+      if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+        return sendError(res, 401, 'Invalid username or password');
+      }
+
+      // Accounts that record transactions get their signing key on first sign-in
+      if (user.role !== 'student') {
+        if (!user.signingKey) {
+          await KeyService.generate(user, password);
+          await dataService.saveUsers(users);
+        }
+        KeyService.unlock(user, password);
+      }
+
+      const token = jwt.sign({ sub: user.id, role: user.role }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+      res.json({ token, user: AuthController.publicUser(user) });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async me(req, res) {
+    res.json(AuthController.publicUser(req.user));
+  }
+
+  static async authenticate(req, res, next) {
+    try {
+      const [scheme, token] = (req.headers.authorization || '').split(' ');
+      if (scheme !== 'Bearer' || !token) {
+        return sendError(res, 401, 'Sign in required');
+      }
+
+      let payload;
+      try {
+        payload = jwt.verify(token, JWT_SECRET);
+      } catch {
+        return sendError(res, 401, 'Session expired or invalid. Please sign in again.');
+      }
+
+      const users = await dataService.loadUsers();
+      const user = users.find(u => u.id === payload.sub);
+      if (!user) return sendError(res, 401, 'Account no longer exists');
+
+      req.user = user;
+      req.signer = KeyService.signer(user.id);
+      next();
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static authorize(...roles) {
+    return (req, res, next) => {
+      if (!roles.includes(req.user.role)) {
+        return sendError(res, 403, 'You do not have permission to do this');
+      }
+      next();
+    };
+  }
+
+  // Signing keys are only in memory, so after a restart the user has to sign
+  // in again before they can record anything.
+  static requireSigningKey(req, res, next) {
+    if (!req.signer) {
+      return sendError(res, 401, 'Your signing key is locked. Please sign in again.');
+    }
+    next();
+  }
+
+  static canAccessClass(user, classId) {
+    if (user.role === 'admin') return true;
+    return user.role === 'teacher' && user.classIds.includes(classId);
+  }
+
+  static canAccessStudent(user, student) {
+    if (user.role === 'student') return user.studentId === student.id;
+    return AuthController.canAccessClass(user, student.classId);
+  }
+
+  // Reports and exports over a whole department are admin-only
+  static canAccessScope(user, { classId }) {
+    return classId ? AuthController.canAccessClass(user, classId) : user.role === 'admin';
+  }
+
+  static async visibleClassIds(user) {
+    if (user.role === 'teacher') return user.classIds;
+    const student = await dataService.getStudent(user.studentId);
+    return student ? [student.classId] : [];
+  }
+
+  // The departments of the classes the user can see
+  static async visibleDeptIds(user) {
+    const visible = await AuthController.visibleClassIds(user);
+    const classes = await dataService.loadClasses({ chain: false });
+    return classes.filter(c => visible.includes(c.id)).map(c => c.deptId);
+  }
+
+  static publicUser(user) {
+    const { passwordHash, signingKey, ...rest } = user;
+    return { ...rest, keyId: signingKey ? signingKey.keyId : null };
+  }
+}
+
+// User Controller
+class UserController {
+  // Student accounts carry the name, roll number and class of their student
+  static async getAll(req, res) {
+    try {
+      const users = await dataService.loadUsers();
+      const students = new Map((await dataService.findStudents({}, { chain: false })).map(s => [s.id, s]));
+      res.json(users.map(user => {
+        const account = AuthController.publicUser(user);
+        const student = user.role === 'student' && students.get(user.studentId);
+        return student
+          ? { ...account, student: { name: student.name, rollNo: student.rollNo, classId: student.classId } }
+          : account;
+      }));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      const users = await dataService.loadUsers();
+      if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+        return sendFieldErrors(res, { username: `Username ${username} is already taken` }, 409);
+      }
+
+      const { account, fieldErrors, status } = await UserController.resolveAccount(req.body, users);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors, status);
+
+      const newUser = {
+        id: `user${Date.now()}`,
+        username,
+        passwordHash: await bcrypt.hash(password, 10),
+        ...account,
+        createdAt: Date.now()
+      };
+
+      users.push(newUser);
+      await dataService.saveUsers(users);
+      res.status(201).json(AuthController.publicUser(newUser));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const { password } = req.body;
+      const users = await dataService.loadUsers();
+      const user = users.find(u => u.id === req.params.id);
+      if (!user) return sendError(res, 404, 'User not found');
+
+      const { account, fieldErrors, status } = await UserController.resolveAccount({ ...user, ...req.body }, users, user.id);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors, status);
+      if (user.role === 'admin' && account.role !== 'admin' && !users.some(u => u.role === 'admin' && u.id !== user.id)) {
+        return sendFieldErrors(res, { role: 'Cannot remove the last admin' });
+      }
+
+      if (password !== undefined) {
+        user.passwordHash = await bcrypt.hash(password, 10);
+
+        // The old private key was encrypted with the old password; a new one
+        // is generated at the next sign-in.
+        await KeyService.retire(user.id);
+        delete user.signingKey;
+      }
+      Object.assign(user, account, { updatedAt: Date.now() });
+
+      await dataService.saveUsers(users);
+      res.json(AuthController.publicUser(user));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async delete(req, res) {
+    try {
+      if (req.params.id === req.user.id) {
+        return sendError(res, 400, 'You cannot delete your own account');
+      }
+
+      const users = await dataService.loadUsers();
+      const removed = users.find(u => u.id === req.params.id);
+      if (!removed) return sendError(res, 404, 'User not found');
+
+      await KeyService.retire(removed.id);
+      await dataService.deleteUser(removed.id);
+      res.json(AuthController.publicUser(removed));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Teachers need their assigned classes and students the record they are
+  // linked to; the other role fields are cleared. Returns { account } or
+  // { fieldErrors, status }.
+  static async resolveAccount({ role, classIds, studentId }, users, userId = null) {
+    if (!ROLES.includes(role)) return { fieldErrors: { role: `Role must be one of ${ROLES.join(', ')}` } };
+
+    if (role === 'teacher') {
+      if (!Array.isArray(classIds)) return { fieldErrors: { classIds: 'Assigned classes must be a list of class IDs' } };
+      const classes = await dataService.loadClasses({ chain: false });
+      const unknown = classIds.filter(id => !classes.some(c => c.id === id && !c.deleted));
+      if (unknown.length > 0) return { fieldErrors: { classIds: `Unknown classes: ${unknown.join(', ')}` } };
+      return { account: { role, classIds: [...new Set(classIds)], studentId: null } };
+    }
+
+    if (role === 'student') {
+      if (!studentId) return { fieldErrors: { studentId: 'Student is required' } };
+      const student = await dataService.getStudent(studentId);
+      if (!student || student.deleted) return { fieldErrors: { studentId: 'Student not found' } };
+      if (users.some(u => u.studentId === studentId && u.id !== userId)) {
+        return { fieldErrors: { studentId: 'Student already has an account' }, status: 409 };
+      }
+      return { account: { role, classIds: [], studentId } };
+    }
+
+    return { account: { role, classIds: [], studentId: null } };
+  }
+}
+
+// Department Controller
+class DepartmentController {
+  static async getAll(req, res) {
+    try {
+      const { query, fieldErrors } = ListQuery.parse('departments', req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      let departments = await dataService.loadDepartments({ chain: ListQuery.needsChain(query) });
+      if (req.user.role !== 'admin') {
+        const deptIds = await AuthController.visibleDeptIds(req.user);
+        departments = departments.filter(d => deptIds.includes(d.id));
+      }
+      res.json(ListQuery.apply(query, departments));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async getById(req, res) {
+    try {
+      const departments = await dataService.loadDepartments();
+      const dept = departments.find(d => d.id === req.params.id);
+      if (!dept) return sendError(res, 404, 'Department not found');
+      if (req.user.role !== 'admin' && !(await AuthController.visibleDeptIds(req.user)).includes(dept.id)) {
+        return sendError(res, 403, 'You do not have access to this department');
+      }
+      res.json(dept);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const { name } = req.body;
+
+      const departments = await dataService.loadDepartments();
+      const taken = UniquenessService.nameTaken(departments, name);
+      if (taken) return sendFieldErrors(res, { name: `A department named ${taken.name} already exists` }, 409);
+
+      const newDept = {
+        id: `dept${Date.now()}`,
+        name,
+        blockchain: (await Blockchain.create(name)).toJSON(),
+        createdAt: Date.now()
+      };
+
+      await dataService.saveDepartments([newDept]);
+      res.status(201).json(newDept);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const { name } = req.body;
+      const departments = await dataService.loadDepartments();
+      const deptIndex = departments.findIndex(d => d.id === req.params.id);
+      
+      if (deptIndex === -1) return sendError(res, 404, 'Department not found');
+
+      const dept = departments[deptIndex];
+      const taken = UniquenessService.nameTaken(departments, name, dept.id);
+      if (taken) return sendFieldErrors(res, { name: `A department named ${taken.name} already exists` }, 409);
+
+      const blockchain = Blockchain.fromJSON(dept.blockchain, dept.id);
+      
+      await blockchain.addBlock({
+        type: 'update',
+        action: 'name_updated',
+        oldName: dept.name,
+        newName: name,
+        timestamp: Date.now()
+      }, req.signer);
+
+      dept.name = name;
+      dept.blockchain = blockchain.toJSON();
+      dept.updatedAt = Date.now();
+
+      await dataService.saveDepartments([dept]);
+      res.json(dept);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async delete(req, res) {
+    try {
+      const departments = await dataService.loadDepartments();
+      const deptIndex = departments.findIndex(d => d.id === req.params.id);
+      
+      if (deptIndex === -1) return sendError(res, 404, 'Department not found');
+
+      const dept = departments[deptIndex];
+      if (dept.deleted) return sendError(res, 400, 'Department is already deleted');
+
+      const classes = await dataService.loadClasses();
+      const students = await dataService.findStudents({ deptId: dept.id });
+
+      const changed = await HierarchyService.deleteDepartment(dept, classes, students, req.signer);
+
+      await dataService.saveDepartments([dept]);
+      await dataService.saveClasses(changed.classes);
+      await dataService.saveStudents(changed.students);
+      res.json(dept);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async restore(req, res) {
+    try {
+      const departments = await dataService.loadDepartments();
+      const dept = departments.find(d => d.id === req.params.id);
+
+      if (!dept) return sendError(res, 404, 'Department not found');
+      if (!dept.deleted) return sendError(res, 400, 'Department is not deleted');
+      const taken = UniquenessService.nameTaken(departments, dept.name);
+      if (taken) return sendError(res, 409, `Rename the department ${taken.name} before restoring this one`);
+
+      const classes = await dataService.loadClasses();
+      const students = await dataService.findStudents({ deptId: dept.id });
+
+      const restored = await HierarchyService.restoreSubtree(dept, 'department', req.signer, classes, students);
+
+      await dataService.saveDepartments([dept]);
+      await dataService.saveClasses(classes.filter(c => restored.includes(c)));
+      await dataService.saveStudents(students.filter(s => restored.includes(s)));
+      res.json({ ...dept, restored: restored.length });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+}
+
+// Class Controller
+class ClassController {
+  static async getAll(req, res) {
+    try {
+      const { query, fieldErrors } = ListQuery.parse('classes', req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const classes = await dataService.loadClasses({ chain: ListQuery.needsChain(query) });
+      const { deptId } = req.query;
+      let filtered = deptId ? classes.filter(c => c.deptId === deptId) : classes;
+      if (req.user.role !== 'admin') {
+        const visible = await AuthController.visibleClassIds(req.user);
+        filtered = filtered.filter(c => visible.includes(c.id));
+      }
+      res.json(ListQuery.apply(query, filtered));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async getById(req, res) {
+    try {
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === req.params.id);
+      if (!cls) return sendError(res, 404, 'Class not found');
+      if (req.user.role !== 'admin' && !(await AuthController.visibleClassIds(req.user)).includes(cls.id)) {
+        return sendError(res, 403, 'You do not have access to this class');
+      }
+      res.json(cls);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const { name, deptId } = req.body;
+
+      const departments = await dataService.loadDepartments();
+      const dept = departments.find(d => d.id === deptId && !d.deleted);
+      if (!dept) return sendFieldErrors(res, { deptId: 'Department not found' });
+
+      const deptBlockchain = Blockchain.fromJSON(dept.blockchain);
+      const classes = await dataService.loadClasses();
+      const taken = UniquenessService.nameTaken(classes.filter(c => c.deptId === deptId), name);
+      if (taken) return sendFieldErrors(res, { name: `${dept.name} already has a class named ${taken.name}` }, 409);
+      
+      const newClass = {
+        id: `class${Date.now()}`,
+        name,
+        deptId,
+        blockchain: (await Blockchain.create(
+          `${dept.name} - ${name}`,
+          deptBlockchain.getLatestBlock()
+        )).toJSON(),
+        createdAt: Date.now()
+      };
+
+      await dataService.saveClasses([newClass]);
+      res.status(201).json(newClass);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const { name } = req.body;
+      const classes = await dataService.loadClasses();
+      const classIndex = classes.findIndex(c => c.id === req.params.id);
+      
+      if (classIndex === -1) return sendError(res, 404, 'Class not found');
+
+      const cls = classes[classIndex];
+      const taken = UniquenessService.nameTaken(classes.filter(c => c.deptId === cls.deptId), name, cls.id);
+      if (taken) return sendFieldErrors(res, { name: `This department already has a class named ${taken.name}` }, 409);
+
+      const blockchain = Blockchain.fromJSON(cls.blockchain, cls.id);
+      
+      await blockchain.addBlock({
+        type: 'update',
+        action: 'name_updated',
+        oldName: cls.name,
+        newName: name,
+        timestamp: Date.now()
+      }, req.signer);
+
+      cls.name = name;
+      cls.blockchain = blockchain.toJSON();
+      cls.updatedAt = Date.now();
+
+      await dataService.saveClasses([cls]);
+      res.json(cls);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async delete(req, res) {
+    try {
+      const classes = await dataService.loadClasses();
+      const classIndex = classes.findIndex(c => c.id === req.params.id);
+      
+      if (classIndex === -1) return sendError(res, 404, 'Class not found');
+
+      const cls = classes[classIndex];
+      if (cls.deleted) return sendError(res, 400, 'Class is already deleted');
+
+      const students = await dataService.findStudents({ classId: cls.id });
+
+      const changed = await HierarchyService.deleteClass(cls, students, req.signer);
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveStudents(changed);
+      res.json(cls);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async restore(req, res) {
+    try {
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === req.params.id);
+
+      if (!cls) return sendError(res, 404, 'Class not found');
+      if (!cls.deleted) return sendError(res, 400, 'Class is not deleted');
+
+      const departments = await dataService.loadDepartments();
+      const dept = departments.find(d => d.id === cls.deptId);
+      if (!dept || dept.deleted) {
+        return sendError(res, 400, 'Restore the parent department first');
+      }
+      const taken = UniquenessService.nameTaken(classes.filter(c => c.deptId === cls.deptId), cls.name);
+      if (taken) return sendError(res, 409, `Rename the class ${taken.name} before restoring this one`);
+
+      const students = await dataService.findStudents({ classId: cls.id });
+
+      const restored = await HierarchyService.restoreSubtree(cls, 'class', req.signer, students);
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveStudents(restored);
+      res.json({ ...cls, restored: restored.length });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+}
+
+// Student Controller
+class StudentController {
+  static async getAll(req, res) {
+    try {
+      const { query, fieldErrors } = ListQuery.parse('students', req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const { deptId, classId } = req.query;
+      const filter = {};
+      if (deptId) filter.deptId = deptId;
+      if (classId) filter.classId = classId;
+      if (req.user.role === 'student') filter.id = req.user.studentId;
+
+      const students = await dataService.findStudents(filter, { chain: ListQuery.needsChain(query) });
+      res.json(ListQuery.apply(query, students.filter(s => AuthController.canAccessStudent(req.user, s))));
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async getById(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.id);
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (!AuthController.canAccessStudent(req.user, student)) {
+        return sendError(res, 403, 'You do not have access to this student');
+      }
+      res.json(student);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const { name, rollNo, deptId, classId } = req.body;
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === classId && !c.deleted);
+      if (!cls) return sendFieldErrors(res, { classId: 'Class not found' });
+      if (cls.deptId !== deptId) {
+        return sendFieldErrors(res, { deptId: `${cls.name} does not belong to this department` });
+      }
+      if (await UniquenessService.rollNoTaken(rollNo)) {
+        return sendFieldErrors(res, { rollNo: `Roll number ${rollNo} is already in use` }, 409);
+      }
+
+      const classBlockchain = Blockchain.fromJSON(cls.blockchain);
+      
+      const newStudent = {
+        id: `student${Date.now()}`,
+        name,
+        rollNo,
+        deptId,
+        classId,
+        blockchain: (await Blockchain.create(
+          `Student ${rollNo}`,
+          classBlockchain.getLatestBlock()
+        )).toJSON(),
+        createdAt: Date.now()
+      };
+
+      await dataService.saveStudents([newStudent]);
+      res.status(201).json(newStudent);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.id);
+      
+      if (!student) return sendError(res, 404, 'Student not found');
+
+      const { name = student.name, rollNo = student.rollNo } = req.body;
+      if (rollNo !== student.rollNo && await UniquenessService.rollNoTaken(rollNo, student.id)) {
+        return sendFieldErrors(res, { rollNo: `Roll number ${rollNo} is already in use` }, 409);
+      }
+
+      const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+      
+      await blockchain.addBlock({
+        type: 'update',
+        action: 'student_updated',
+        oldData: { name: student.name, rollNo: student.rollNo },
+        newData: { name, rollNo },
+        timestamp: Date.now()
+      }, req.signer);
+
+      student.name = name;
+      student.rollNo = rollNo;
+      student.blockchain = blockchain.toJSON();
+      student.updatedAt = Date.now();
+
+      await dataService.saveStudents([student]);
+      res.json(student);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async delete(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.id);
+      
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (student.deleted) return sendError(res, 400, 'Student is already deleted');
+
+      await HierarchyService.markDeleted(student, req.signer);
+
+      await dataService.saveStudents([student]);
+      res.json(student);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async restore(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.id);
+
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (!student.deleted) return sendError(res, 400, 'Student is not deleted');
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === student.classId);
+      if (!cls || cls.deleted) {
+        return sendError(res, 400, 'Restore the parent class first');
+      }
+
+      await HierarchyService.markRestored(student, req.signer);
+
+      await dataService.saveStudents([student]);
+      res.json(student);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Moves a student to another class without touching their history. The
+  // destination class records a transfer_in block, and the transfer_out block
+  // on the student's chain anchors to it. Blocks from there on belong to the
+  // new class (see ValidationController.classPeriods).
+  static async transfer(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.id);
+
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (student.deleted) return sendError(res, 400, 'Restore the student before transferring them');
+
+      const { classId, deptId, reason } = req.body;
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === classId && !c.deleted);
+      if (!cls) return sendFieldErrors(res, { classId: 'Class not found' });
+      if (cls.id === student.classId) return sendFieldErrors(res, { classId: `Student is already in ${cls.name}` });
+      if (deptId && cls.deptId !== deptId) {
+        return sendFieldErrors(res, { deptId: `${cls.name} does not belong to this department` });
+      }
+
+      const from = { fromClassId: student.classId, fromDeptId: student.deptId };
+      const details = reason ? { reason } : {};
+      const timestamp = Date.now();
+
+      const classBlockchain = Blockchain.fromJSON(cls.blockchain, cls.id);
+      const transferIn = await classBlockchain.addBlock({
+        type: 'transfer_in',
+        studentId: student.id,
+        name: student.name,
+        rollNo: student.rollNo,
+        ...from,
+        ...details,
+        timestamp
+      }, req.signer);
+
+      const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+      await blockchain.addBlock({
+        type: 'transfer_out',
+        ...from,
+        toClassId: cls.id,
+        toDeptId: cls.deptId,
+        anchor: { blockIndex: transferIn.index, hash: transferIn.hash },
+        ...details,
+        timestamp
+      }, req.signer);
+
+      cls.blockchain = classBlockchain.toJSON();
+      cls.updatedAt = timestamp;
+      student.classId = cls.id;
+      student.deptId = cls.deptId;
+      student.blockchain = blockchain.toJSON();
+      student.updatedAt = timestamp;
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveStudents([student]);
+      res.json(student);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+}
+
+// Session Controller
+// A session is a recurring lecture slot of a class (e.g. "Databases, 09:00-10:00").
+// Sessions live in sessions.json and every change is also written as a block
+// on the owning class's chain.
+class SessionController {
   static async getAll(req, res) {
     try {
-      const students = await dataService.loadStudents();
-      const { deptId, classId } = req.query;
+      const sessions = await dataService.loadSessions();
+      const { classId } = req.query;
+      let filtered = classId ? sessions.filter(s => s.classId === classId) : sessions;
+      if (req.user.role !== 'admin') {
+        const visible = await AuthController.visibleClassIds(req.user);
+        filtered = filtered.filter(s => visible.includes(s.classId));
+      }
+      res.json(filtered);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async create(req, res) {
+    try {
+      const { classId, subject, startTime, endTime, teacher } = req.body;
+      if (!SessionController.isValidSlot(startTime, endTime)) {
+        return sendFieldErrors(res, { endTime: 'End time must be after the start time' });
+      }
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === classId && !c.deleted);
+      if (!cls) return sendFieldErrors(res, { classId: 'Class not found' });
+
+      const newSession = {
+        id: `session${Date.now()}`,
+        classId,
+        subject,
+        startTime,
+        endTime,
+        teacher,
+        createdAt: Date.now()
+      };
+
+      await SessionController.recordOnClass(cls, 'session_created', newSession, req.signer);
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveSessions([newSession]);
+      res.status(201).json(newSession);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async update(req, res) {
+    try {
+      const sessions = await dataService.loadSessions();
+      const session = sessions.find(s => s.id === req.params.id);
+      if (!session) return sendError(res, 404, 'Session not found');
+
+      const { subject, startTime, endTime, teacher } = req.body;
+      const updated = {
+        subject: subject || session.subject,
+        startTime: startTime || session.startTime,
+        endTime: endTime || session.endTime,
+        teacher: teacher || session.teacher
+      };
+      if (!SessionController.isValidSlot(updated.startTime, updated.endTime)) {
+        return sendFieldErrors(res, { endTime: 'End time must be after the start time' });
+      }
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === session.classId);
+      if (!cls) return sendError(res, 404, 'Class not found');
+
+      Object.assign(session, updated, { updatedAt: Date.now() });
+      await SessionController.recordOnClass(cls, 'session_updated', session, req.signer);
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveSessions([session]);
+      res.json(session);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async delete(req, res) {
+    try {
+      const sessions = await dataService.loadSessions();
+      const session = sessions.find(s => s.id === req.params.id);
+      if (!session) return sendError(res, 404, 'Session not found');
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === session.classId);
+      if (!cls) return sendError(res, 404, 'Class not found');
+
+      session.deleted = true;
+      session.deletedAt = Date.now();
+      await SessionController.recordOnClass(cls, 'session_deleted', session, req.signer);
+
+      await dataService.saveClasses([cls]);
+      await dataService.saveSessions([session]);
+      res.json(session);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async recordOnClass(cls, action, session, signer) {
+    const blockchain = Blockchain.fromJSON(cls.blockchain, cls.id);
+    await blockchain.addBlock({
+      type: 'session',
+      action,
+      sessionId: session.id,
+      subject: session.subject,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      teacher: session.teacher,
+      timestamp: Date.now()
+    }, signer);
+    cls.blockchain = blockchain.toJSON();
+    cls.updatedAt = Date.now();
+  }
+
+  static isValidSlot(startTime, endTime) {
+    const pattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+    return pattern.test(startTime) && pattern.test(endTime) && startTime < endTime;
+  }
+
+  // Resolves an optional sessionId for attendance against the student's class.
+  static async resolve(sessionId, classId) {
+    if (!sessionId) return { session: null };
+
+    const sessions = await dataService.loadSessions();
+    const session = sessions.find(s => s.id === sessionId && !s.deleted);
+    if (!session || session.classId !== classId) {
+      return { fieldErrors: { sessionId: 'Session not found for this class' } };
+    }
+    return { session };
+  }
+}
+
+// Attendance Controller
+class AttendanceController {
+  static async markAttendance(req, res) {
+    try {
+      const { studentId, status, reason, sessionId, date: requestedDate } = req.body;
+
+      const { date, backdated, fieldErrors: dateErrors } = AttendanceController.resolveDate(requestedDate);
+      if (dateErrors) return sendFieldErrors(res, dateErrors);
+
+      const statuses = await dataService.loadStatuses();
+      const statusErrors = StatusController.check(statuses, status, reason);
+      if (statusErrors) return sendFieldErrors(res, statusErrors);
+
+      const student = await dataService.getStudent(studentId);
       
-      let filtered = students;
-      if (deptId) filtered = filtered.filter(s => s.deptId === deptId);
-      if (classId) filtered = filtered.filter(s => s.classId === classId);
+      if (!student) return sendFieldErrors(res, { studentId: 'Student not found' });
+      if (!AuthController.canAccessClass(req.user, student.classId)) {
+        return sendError(res, 403, 'You are not assigned to this class');
+      }
+      // Deleted students take no attendance, as in the bulk route
+      if (student.deleted) return sendFieldErrors(res, { studentId: 'Student not found in class' });
+
+      const { session, fieldErrors: sessionErrors } = await SessionController.resolve(sessionId, student.classId);
+      if (sessionErrors) return sendFieldErrors(res, sessionErrors);
+
+      const existing = AttendanceController.findRecord(student, date, session);
+      if (existing) {
+        return sendError(res, 409, 'Attendance already marked for this date and session. Submit a correction instead.', {
+          code: 'duplicate',
+          fieldErrors: { date: 'Attendance already marked for this date and session' },
+          block: existing.block
+        });
+      }
+
+      const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+      const attendanceRecord = AttendanceController.buildRecord(student, status, { date, backdated, reason, session });
+
+      const block = await blockchain.addBlock(attendanceRecord, req.signer);
+      student.blockchain = blockchain.toJSON();
+
+      await dataService.saveStudents([student]);
+      res.status(201).json({ block, student });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Marks a whole class session in one request: every student is checked
+  // up front, then all blocks are mined and students.json is written once.
+  // Each record is either a status code or `{ status, reason }`.
+  static async markBulkAttendance(req, res) {
+    try {
+      const { classId, sessionId, records, date: requestedDate } = req.body;
+
+      const { date, backdated, fieldErrors: dateErrors } = AttendanceController.resolveDate(requestedDate);
+      if (dateErrors) return sendFieldErrors(res, dateErrors);
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === classId && !c.deleted);
+      if (!cls) return sendFieldErrors(res, { classId: 'Class not found' });
+      if (!AuthController.canAccessClass(req.user, classId)) {
+        return sendError(res, 403, 'You are not assigned to this class');
+      }
+
+      const { session, fieldErrors: sessionErrors } = await SessionController.resolve(sessionId, classId);
+      if (sessionErrors) return sendFieldErrors(res, sessionErrors);
+
+      const students = await dataService.findStudents({ classId });
+      const statuses = await dataService.loadStatuses();
+      const entries = Object.entries(records).map(([studentId, record]) => {
+        const { status, reason } = typeof record === 'object' && record !== null ? record : { status: record };
+        return { studentId, status, reason };
+      });
+      // Problems are reported per student as records.<studentId>. Students
+      // already marked are duplicates (409) once every record is valid.
+      const invalid = {};
+      const duplicates = {};
+
+      for (const { studentId, status, reason } of entries) {
+        const student = students.find(s => s.id === studentId);
+        const statusErrors = status
+          ? StatusController.check(statuses, status, reason)
+          : { status: 'Status is required' };
+        const field = `records.${studentId}`;
+        if (!student || student.deleted || student.classId !== classId) {
+          invalid[field] = 'Student not found in class';
+        } else if (statusErrors) {
+          invalid[field] = Object.values(statusErrors)[0];
+        } else if (AttendanceController.findRecord(student, date, session)) {
+          duplicates[field] = 'Attendance already marked for this date and session';
+        }
+      }
+
+      if (Object.keys(invalid).length > 0) return sendFieldErrors(res, invalid);
+      if (Object.keys(duplicates).length > 0) return sendFieldErrors(res, duplicates, 409);
+
+      const results = await Promise.all(entries.map(async ({ studentId, status, reason }) => {
+        const student = students.find(s => s.id === studentId);
+        const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+        const block = await blockchain.addBlock(
+          AttendanceController.buildRecord(student, status, { date, backdated, reason, session }),
+          req.signer
+        );
+        student.blockchain = blockchain.toJSON();
+        return { studentId, status, block };
+      }));
+
+      await dataService.saveStudents(entries.map(({ studentId }) => students.find(s => s.id === studentId)));
+      res.status(201).json({
+        classId,
+        sessionId: session ? session.id : null,
+        date,
+        backdated,
+        count: results.length,
+        results
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Records never get overwritten: a correction is its own block that points
+  // at the original attendance block and becomes the effective status.
+  static async correctAttendance(req, res) {
+    try {
+      const { studentId, originalHash, status, reason } = req.body;
+
+      const statuses = await dataService.loadStatuses();
+      const statusErrors = StatusController.check(statuses, status, reason);
+      if (statusErrors) return sendFieldErrors(res, statusErrors);
+
+      const student = await dataService.getStudent(studentId);
+      if (!student) return sendFieldErrors(res, { studentId: 'Student not found' });
+      if (!AuthController.canAccessClass(req.user, student.classId)) {
+        return sendError(res, 403, 'You are not assigned to this class');
+      }
+      if (student.deleted) return sendFieldErrors(res, { studentId: 'Student not found in class' });
+
+      const record = AttendanceController.resolveRecords(student.blockchain.chain)
+        .find(r => r.block.hash === originalHash);
+      if (!record) return sendFieldErrors(res, { originalHash: 'Original attendance block not found' });
+
+      const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+      const block = await blockchain.addBlock({
+        type: 'attendance_correction',
+        studentId: student.id,
+        studentName: student.name,
+        rollNo: student.rollNo,
+        deptId: student.deptId,
+        classId: student.classId,
+        originalHash: record.block.hash,
+        originalIndex: record.block.index,
+        date: record.date,
+        sessionId: record.sessionId,
+        previousStatus: record.status,
+        status,
+        reason,
+        timestamp: Date.now()
+      }, req.signer);
+      student.blockchain = blockchain.toJSON();
+
+      await dataService.saveStudents([student]);
+      res.status(201).json({ block, student });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static today() {
+    return new Date().toISOString().split('T')[0];
+  }
+
+  // Accepts an optional YYYY-MM-DD date (format checked by the request
+  // schema) no later than today and no earlier than BACKDATE_WINDOW_DAYS ago.
+  // Omitting it means today.
+  static resolveDate(requestedDate) {
+    const today = AttendanceController.today();
+    if (!requestedDate || requestedDate === today) return { date: today, backdated: false };
+    if (!isCalendarDate(requestedDate)) return { fieldErrors: { date: 'Date must be a date in YYYY-MM-DD format' } };
+
+    const daysBack = (Date.parse(today) - Date.parse(requestedDate)) / (24 * 60 * 60 * 1000);
+    if (daysBack < 0) return { fieldErrors: { date: 'Attendance cannot be marked for a future date' } };
+    if (daysBack > BACKDATE_WINDOW_DAYS) {
+      return { fieldErrors: { date: `Attendance can only be backdated up to ${BACKDATE_WINDOW_DAYS} days` } };
+    }
+
+    return { date: requestedDate, backdated: true };
+  }
+
+  // Backdated records keep the effective `date` and also carry the day they
+  // were actually entered, so auditors can tell them apart from same-day ones.
+  static buildRecord(student, status, { date, backdated = false, reason, session = null }) {
+    const record = {
+      type: 'attendance',
+      studentId: student.id,
+      studentName: student.name,
+      rollNo: student.rollNo,
+      deptId: student.deptId,
+      classId: student.classId,
+      status: status,
+      date: date,
+      timestamp: Date.now()
+    };
+    if (session) {
+      record.sessionId = session.id;
+      record.subject = session.subject;
+      record.startTime = session.startTime;
+      record.endTime = session.endTime;
+    }
+    if (reason) record.reason = reason;
+    if (backdated) {
+      record.backdated = true;
+      record.enteredOn = AttendanceController.today();
+    }
+    return record;
+  }
+
+  // Folds attendance and correction blocks into one record per attendance
+  // block, carrying the effective (latest corrected) status.
+  static resolveRecords(chain) {
+    const records = [];
+
+    chain.forEach(block => {
+      const tx = block.transactions;
+      if (tx.type === 'attendance') {
+        records.push({
+          date: tx.date,
+          classId: tx.classId,
+          sessionId: tx.sessionId || null,
+          status: tx.status,
+          corrected: false,
+          block,
+          corrections: []
+        });
+      } else if (tx.type === 'attendance_correction') {
+        const record = records.find(r => r.block.hash === tx.originalHash);
+        if (record) {
+          record.status = tx.status;
+          record.corrected = true;
+          record.corrections.push(block);
+        }
+      }
+    });
+
+    return records;
+  }
+
+  static findRecord(student, date, session = null) {
+    const sessionId = session ? session.id : null;
+    return AttendanceController.resolveRecords(student.blockchain.chain)
+      .find(r => r.date === date && r.sessionId === sessionId);
+  }
+
+  // Groups resolved records by the session they were taken in. Records taken
+  // without a session end up in a group with a null sessionId.
+  static groupBySession(records, sessions) {
+    const groups = new Map();
+
+    records.forEach(record => {
+      if (!groups.has(record.sessionId)) {
+        const session = sessions.find(s => s.id === record.sessionId);
+        const tx = record.block.transactions;
+        groups.set(record.sessionId, {
+          sessionId: record.sessionId,
+          subject: session ? session.subject : tx.subject || null,
+          startTime: session ? session.startTime : tx.startTime || null,
+          endTime: session ? session.endTime : tx.endTime || null,
+          teacher: session ? session.teacher : null,
+          records: []
+        });
+      }
+      groups.get(record.sessionId).records.push(record);
+    });
+
+    return Array.from(groups.values());
+  }
+
+  static async getStudentAttendance(req, res) {
+    try {
+      const student = await dataService.getStudent(req.params.studentId);
       
-      res.json(filtered);
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (!AuthController.canAccessStudent(req.user, student)) {
+        return sendError(res, 403, 'You do not have access to this student');
+      }
+
+      const history = student.blockchain.chain.filter(
+        block => ['attendance', 'attendance_correction'].includes(block.transactions.type)
+      );
+
+      const records = AttendanceController.resolveRecords(student.blockchain.chain);
+      const sessions = await dataService.loadSessions();
+      const transfers = student.blockchain.chain
+        .filter(block => block.transactions.type === 'transfer_out')
+        .map(({ transactions: { fromClassId, fromDeptId, toClassId, toDeptId, reason, timestamp } }) => (
+          { fromClassId, fromDeptId, toClassId, toDeptId, reason, timestamp }
+        ));
+
+      res.json({
+        records,
+        sessions: AttendanceController.groupBySession(records, sessions),
+        history,
+        transfers
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+}
+
+// Status Controller
+class StatusController {
+  static async getAll(req, res) {
+    try {
+      const statuses = await dataService.loadStatuses();
+      res.json(statuses);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Replaces the whole status list. Codes already written to blocks stay on
+  // the chain, so removing a code only stops it being used for new records.
+  static async update(req, res) {
+    try {
+      const { statuses } = req.body;
+
+      const duplicates = {};
+      statuses.forEach((status, index) => {
+        if (statuses.findIndex(s => s.code === status.code) < index) {
+          duplicates[`statuses.${index}.code`] = `Duplicate status code ${status.code}`;
+        }
+      });
+      if (Object.keys(duplicates).length > 0) return sendFieldErrors(res, duplicates, 409);
+
+      const normalized = statuses.map(status => ({
+        code: status.code,
+        abbreviation: status.abbreviation || status.code.charAt(0).toUpperCase(),
+        label: status.label,
+        attended: status.attended,
+        reason: status.reason || 'none',
+        color: status.color || 'gray'
+      }));
+
+      await dataService.saveStatuses(normalized);
+      res.json(normalized);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Field errors for a status code and reason, or null if they are fine
+  static check(statuses, code, reason) {
+    const status = statuses.find(s => s.code === code);
+    if (!status) return { status: `Unknown attendance status: ${code}` };
+    if (status.reason === 'required' && !(reason && String(reason).trim())) {
+      return { reason: `A reason is required for status ${status.label}` };
+    }
+    return null;
+  }
+}
+
+// Import Controller
+// Student rosters are uploaded as CSV text (Content-Type: text/csv) with the
+// columns name, rollNo, department and class. Department and class may be
+// given by ID or by name. Without `?commit=true` the request only returns the
+// row-by-row report; a commit is refused unless every row is valid.
+class ImportController {
+  static async importStudents(req, res) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return sendError(res, 400, 'CSV body is required (Content-Type: text/csv)');
+      }
+
+      const parsed = ImportController.parseCsv(req.body);
+      const header = (parsed.shift() || []).map(h => h.trim().toLowerCase());
+      const columns = {
+        name: header.indexOf('name'),
+        rollNo: header.indexOf('rollno'),
+        department: header.indexOf('department'),
+        class: header.indexOf('class')
+      };
+      const missing = Object.keys(columns).filter(key => columns[key] === -1);
+      if (missing.length > 0) {
+        return sendError(res, 400, `Missing CSV columns: ${missing.join(', ')}`);
+      }
+
+      const departments = await dataService.loadDepartments();
+      const classes = await dataService.loadClasses();
+      const students = await dataService.findStudents({}, { chain: false });
+
+      const takenRollNos = new Set(students.map(s => s.rollNo));
+      const rows = parsed
+        .map((cells, index) => ({ cells, line: index + 2 }))
+        .filter(({ cells }) => cells.some(cell => cell.trim()))
+        .map(({ cells, line }) => {
+          const value = (key) => (cells[columns[key]] || '').trim();
+          const row = {
+            row: line,
+            name: value('name'),
+            rollNo: value('rollNo'),
+            department: value('department'),
+            class: value('class'),
+            deptId: null,
+            classId: null,
+            errors: []
+          };
+
+          if (!row.name) row.errors.push('Name is required');
+
+          if (!row.rollNo) {
+            row.errors.push('Roll number is required');
+          } else if (takenRollNos.has(row.rollNo)) {
+            row.errors.push(`Roll number ${row.rollNo} is already in use`);
+          } else {
+            takenRollNos.add(row.rollNo);
+          }
+
+          const dept = ImportController.findByIdOrName(departments, row.department);
+          if (!dept) {
+            row.errors.push(`Department "${row.department}" not found`);
+          } else {
+            row.deptId = dept.id;
+            const cls = ImportController.findByIdOrName(
+              classes.filter(c => c.deptId === dept.id),
+              row.class
+            );
+            if (!cls) {
+              row.errors.push(`Class "${row.class}" not found in ${dept.name}`);
+            } else {
+              row.classId = cls.id;
+            }
+          }
+
+          return row;
+        });
+
+      const valid = rows.length > 0 && rows.every(row => row.errors.length === 0);
+      const report = { valid, total: rows.length, invalid: rows.filter(r => r.errors.length > 0).length, rows };
+
+      if (!req.query.commit) return res.json({ ...report, committed: false });
+      if (!valid) return sendError(res, 400, 'Fix the invalid rows before importing', { ...report, committed: false });
+
+      const now = Date.now();
+      const created = await Promise.all(rows.map(async (row, index) => {
+        const cls = classes.find(c => c.id === row.classId);
+        const classBlockchain = Blockchain.fromJSON(cls.blockchain);
+        return {
+          id: `student${now}_${index}`,
+          name: row.name,
+          rollNo: row.rollNo,
+          deptId: row.deptId,
+          classId: row.classId,
+          blockchain: (await Blockchain.create(
+            `Student ${row.rollNo}`,
+            classBlockchain.getLatestBlock()
+          )).toJSON(),
+          createdAt: Date.now()
+        };
+      }));
+
+      await dataService.saveStudents(created);
+      res.status(201).json({ ...report, committed: true, created: created.length });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static findByIdOrName(items, value) {
+    const needle = value.toLowerCase();
+    return items.find(item => !item.deleted && (item.id === value || item.name.toLowerCase() === needle));
+  }
+
+  // Minimal RFC 4180 parser: quoted fields, escaped quotes and CRLF/LF rows.
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+}
+
+// Report Controller
+// Percentages are computed from the effective (corrected) status of each
+// attendance record, using the `attended` flag of the configured statuses.
+class ReportController {
+  static async studentReport(req, res) {
+    try {
+      const { from, to, fieldErrors } = ReportController.parseRange(req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const student = await dataService.getStudent(req.params.id);
+      if (!student) return sendError(res, 404, 'Student not found');
+      if (!AuthController.canAccessStudent(req.user, student)) {
+        return sendError(res, 403, 'You do not have access to this student');
+      }
+
+      const statuses = await dataService.loadStatuses();
+      const records = ReportController.recordsInRange(student.blockchain.chain, from, to);
+
+      res.json({
+        student: ReportController.describeStudent(student),
+        from,
+        to,
+        ...ReportController.summarize(records, statuses)
+      });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  static async classReport(req, res) {
+    try {
+      const { from, to, fieldErrors } = ReportController.parseRange(req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const classes = await dataService.loadClasses();
+      const cls = classes.find(c => c.id === req.params.id);
+      if (!cls) return sendError(res, 404, 'Class not found');
+      if (!AuthController.canAccessClass(req.user, cls.id)) {
+        return sendError(res, 403, 'You are not assigned to this class');
+      }
+
+      const students = await ReportController.studentsOfClasses({ classId: cls.id }, [cls.id], classes);
+      const statuses = await dataService.loadStatuses();
+      const records = await ReportController.recordsByStudent(students, from, to);
+
+      res.json({
+        class: { id: cls.id, name: cls.name, deptId: cls.deptId },
+        from,
+        to,
+        ...ReportController.rollUpClass(cls, students, statuses, records)
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 
-  static async getById(req, res) {
+  static async departmentReport(req, res) {
     try {
-      const students = await dataService.loadStudents();
-      const student = students.find(s => s.id === req.params.id);
-      if (!student) return res.status(404).json({ error: 'Student not found' });
-      res.json(student);
+      const { from, to, fieldErrors } = ReportController.parseRange(req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const departments = await dataService.loadDepartments();
+      const dept = departments.find(d => d.id === req.params.id);
+      if (!dept) return sendError(res, 404, 'Department not found');
+
+      const classes = await dataService.loadClasses();
+      const deptClasses = classes.filter(c => c.deptId === dept.id);
+      const students = await ReportController.studentsOfClasses({ deptId: dept.id }, deptClasses.map(c => c.id), classes);
+      const statuses = await dataService.loadStatuses();
+      const records = await ReportController.recordsByStudent(students, from, to);
+
+      const classReports = deptClasses
+        .filter(c => !c.deleted)
+        .map(cls => {
+          const { students: studentReports, ...summary } = ReportController.rollUpClass(cls, students, statuses, records);
+          return { id: cls.id, name: cls.name, studentCount: studentReports.length, ...summary };
+        });
+
+      res.json({
+        department: { id: dept.id, name: dept.name },
+        from,
+        to,
+        ...ReportController.combine(classReports),
+        classes: classReports
+      });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 
-  static async create(req, res) {
+  // Lists active students of a class or department whose attendance over the
+  // range is below the threshold, with how many consecutive attended sessions
+  // they need to get back to it. Only attendance taken in the class or
+  // department counts, so records from before a transfer in are left out.
+  static async defaulters(req, res) {
     try {
-      const { name, rollNo, deptId, classId } = req.body;
-      if (!name || !rollNo || !deptId || !classId) {
-        return res.status(400).json({ error: 'All fields are required' });
+      const { classId, deptId } = req.query;
+      if (!classId && !deptId) return sendFieldErrors(res, { classId: 'classId or deptId is required' });
+      if (!AuthController.canAccessScope(req.user, { classId })) {
+        return sendError(res, 403, 'You do not have access to this class or department');
       }
 
+      const { from, to, fieldErrors } = ReportController.parseRange(req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const threshold = req.query.threshold === undefined ? MIN_ATTENDANCE_PERCENT : req.query.threshold;
+      if (threshold === 0) return sendFieldErrors(res, { threshold: 'threshold must be more than 0' });
+
+      const students = (await dataService.findStudents(classId ? { classId } : { deptId }, { chain: false }))
+        .filter(s => !s.deleted);
+      const classIds = classId
+        ? [classId]
+        : (await dataService.loadClasses({ chain: false })).filter(c => c.deptId === deptId).map(c => c.id);
+      const statuses = await dataService.loadStatuses();
+      const records = await ReportController.recordsByStudent(students, from, to, classIds);
+
+      const defaulters = students
+        .map(student => ({
+          ...ReportController.describeStudent(student),
+          ...ReportController.summarize(records.get(student.id), statuses)
+        }))
+        .filter(report => report.total > 0 && report.attended * 100 < threshold * report.total)
+        .map(report => ({
+          ...report,
+          sessionsNeeded: ReportController.sessionsNeeded(report.attended, report.total, threshold)
+        }))
+        .sort((a, b) => a.percentage - b.percentage);
+
+      res.json({ classId: classId || null, deptId: deptId || null, from, to, threshold, defaulters });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Monthly register of a class: every day of the month, and per student the
+  // effective records of each day taken in this class, with the blocks behind
+  // them. Students transferred out appear for the months they were here.
+  static async classRegister(req, res) {
+    try {
+      const { month } = req.query;
+
       const classes = await dataService.loadClasses();
-      const cls = classes.find(c => c.id === classId);
-      if (!cls) return res.status(404).json({ error: 'Class not found' });
+      const cls = classes.find(c => c.id === req.params.id);
+      if (!cls) return sendError(res, 404, 'Class not found');
+      if (!AuthController.canAccessClass(req.user, cls.id)) {
+        return sendError(res, 403, 'You are not assigned to this class');
+      }
 
-      const classBlockchain = Blockchain.fromJSON(cls.blockchain);
-      const students = await dataService.loadStudents();
-      
-      const newStudent = {
-        id: `student${Date.now()}`,
-        name,
-        rollNo,
-        deptId,
-        classId,
-        blockchain: new Blockchain(
-          `Student ${rollNo}`,
-          classBlockchain.getLatestBlock().hash
-        ).toJSON(),
-        createdAt: Date.now()
-      };
+      const [year, monthIndex] = month.split('-').map(Number);
+      const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+      const dates = Array.from({ length: daysInMonth }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
 
-      students.push(newStudent);
-      await dataService.saveStudents(students);
-      res.status(201).json(newStudent);
+      const students = await ReportController.studentsOfClasses({ classId: cls.id }, [cls.id], classes);
+      const records = await ReportController.recordsByStudent(students, dates[0], dates[dates.length - 1], [cls.id]);
+      const register = ReportController.withHistory(students, records, [cls.id])
+        .sort((a, b) => a.rollNo.localeCompare(b.rollNo))
+        .map(student => {
+          const days = {};
+          records.get(student.id).forEach(record => {
+            (days[record.date] = days[record.date] || []).push(record);
+          });
+          return { ...ReportController.describeStudent(student), days };
+        });
+
+      res.json({ class: { id: cls.id, name: cls.name, deptId: cls.deptId }, month, dates, students: register });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 
-  static async update(req, res) {
+  // Smallest n with (attended + n) / (total + n) >= threshold. A 100%
+  // threshold can never be recovered once a session is missed.
+  static sessionsNeeded(attended, total, threshold) {
+    if (threshold >= 100) return null;
+    return Math.max(0, Math.ceil((threshold * total - 100 * attended) / (100 - threshold)));
+  }
+
+  // Each student's records taken in the class; former members are listed
+  // when they have any in the range
+  static rollUpClass(cls, students, statuses, records) {
+    const inClass = new Map(students.map(student => [
+      student.id,
+      records.get(student.id).filter(record => record.classId === cls.id)
+    ]));
+    const studentReports = ReportController.withHistory(students, inClass, [cls.id])
+      .map(student => ({
+        ...ReportController.describeStudent(student),
+        ...ReportController.summarize(inClass.get(student.id), statuses)
+      }));
+
+    return { ...ReportController.combine(studentReports), students: studentReports };
+  }
+
+  // Students who may have attendance in the classes: those in them now (found
+  // by filter) and those transferred out since, found from the transfer_in
+  // blocks of the classes they moved to
+  static async studentsOfClasses(filter, classIds, classes) {
+    const current = await dataService.findStudents(filter, { chain: false });
+    const movedOut = new Set();
+    classes.forEach(cls => cls.blockchain.chain.forEach(({ transactions: tx }) => {
+      if (tx.type === 'transfer_in' && classIds.includes(tx.fromClassId)) movedOut.add(tx.studentId);
+    }));
+    current.forEach(student => movedOut.delete(student.id));
+
+    const former = await Promise.all(
+      Array.from(movedOut, id => dataService.findStudents({ id }, { chain: false }))
+    );
+    return [...current, ...former.flat()];
+  }
+
+  // Active students in the classes now, and former members with records
+  static withHistory(students, records, classIds) {
+    return students.filter(student => !student.deleted &&
+      (classIds.includes(student.classId) || records.get(student.id).length > 0));
+  }
+
+  // from and to are YYYY-MM-DD dates checked by the request schema
+  static parseRange({ from, to }) {
+    if (from && to && from > to) return { fieldErrors: { to: 'to must not be before from' } };
+    return { from: from || null, to: to || null };
+  }
+
+  static recordsInRange(blocks, from, to) {
+    return AttendanceController.resolveRecords(blocks)
+      .filter(r => (!from || r.date >= from) && (!to || r.date <= to));
+  }
+
+  // Effective records of each student over the range, read through the
+  // storage backend so only the attendance blocks in range are loaded. With
+  // classIds, only records taken in those classes are kept.
+  static async recordsByStudent(students, from, to, classIds = null) {
+    const blocks = await dataService.attendanceBlocks(students.map(s => s.id), { from, to });
+    return new Map(students.map(student => [
+      student.id,
+      ReportController.recordsInRange(blocks.get(student.id) || [], from, to)
+        .filter(record => !classIds || classIds.includes(record.classId))
+    ]));
+  }
+
+  static describeStudent(student) {
+    return {
+      id: student.id,
+      name: student.name,
+      rollNo: student.rollNo,
+      classId: student.classId,
+      deptId: student.deptId
+    };
+  }
+
+  static summarize(records, statuses) {
+    const byStatus = {};
+    let attended = 0;
+
+    records.forEach(record => {
+      byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+      const status = statuses.find(s => s.code === record.status);
+      if (status && status.attended) attended++;
+    });
+
+    return {
+      attended,
+      total: records.length,
+      percentage: ReportController.percentage(attended, records.length),
+      byStatus
+    };
+  }
+
+  static combine(reports) {
+    const byStatus = {};
+    let attended = 0;
+    let total = 0;
+
+    reports.forEach(report => {
+      attended += report.attended;
+      total += report.total;
+      Object.entries(report.byStatus).forEach(([code, count]) => {
+        byStatus[code] = (byStatus[code] || 0) + count;
+      });
+    });
+
+    return { attended, total, percentage: ReportController.percentage(attended, total), byStatus };
+  }
+
+  static percentage(attended, total) {
+    return total === 0 ? null : Math.round((attended / total) * 10000) / 100;
+  }
+}
+
+// Export Controller
+// Attendance sheets for the registrar: one row per active student, one column
+// per date that has records in the range. Only records taken in the class or
+// department are exported; students transferred out get a row when they have any. A cell holds the status
+// abbreviations of that day's sessions; with includeHash=true every date gets a
+// companion column with the hashes of the blocks behind it.
+class ExportController {
+  static async exportAttendance(req, res) {
     try {
-      const { name, rollNo } = req.body;
-      const students = await dataService.loadStudents();
-      const studentIndex = students.findIndex(s => s.id === req.params.id);
-      
-      if (studentIndex === -1) return res.status(404).json({ error: 'Student not found' });
+      const { classId, deptId, format = 'csv' } = req.query;
+      if (!classId && !deptId) return sendFieldErrors(res, { classId: 'classId or deptId is required' });
+      if (!AuthController.canAccessScope(req.user, { classId })) {
+        return sendError(res, 403, 'You do not have access to this class or department');
+      }
 
-      const student = students[studentIndex];
-      const blockchain = Blockchain.fromJSON(student.blockchain);
-      
-      blockchain.addBlock({
-        type: 'update',
-        action: 'student_updated',
-        oldData: { name: student.name, rollNo: student.rollNo },
-        newData: { name, rollNo },
-        timestamp: Date.now()
+      const { from, to, fieldErrors } = ReportController.parseRange(req.query);
+      if (fieldErrors) return sendFieldErrors(res, fieldErrors);
+
+      const classes = await dataService.loadClasses();
+      const classIds = classId ? [classId] : classes.filter(c => c.deptId === deptId).map(c => c.id);
+      const candidates = await ReportController.studentsOfClasses(classId ? { classId } : { deptId }, classIds, classes);
+      const records = await ReportController.recordsByStudent(candidates, from, to, classIds);
+      const students = ReportController.withHistory(candidates, records, classIds);
+      const statuses = await dataService.loadStatuses();
+
+      const scope = classId
+        ? classes.find(c => c.id === classId)
+        : (await dataService.loadDepartments()).find(d => d.id === deptId);
+      if (!scope) return sendError(res, 404, classId ? 'Class not found' : 'Department not found');
+
+      const { header, rows } = ExportController.buildMatrix({
+        students,
+        records,
+        classes,
+        statuses,
+        includeHash: Boolean(req.query.includeHash)
       });
 
-      student.name = name || student.name;
-      student.rollNo = rollNo || student.rollNo;
-      student.blockchain = blockchain.toJSON();
-      student.updatedAt = Date.now();
+      const fileName = `attendance_${scope.id}_${from || 'start'}_${to || AttendanceController.today()}`;
 
-      await dataService.saveStudents(students);
-      res.json(student);
+      if (format === 'csv') {
+        const csv = [header, ...rows].map(row => row.map(ExportController.csvField).join(',')).join('\r\n');
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+        return res.send(csv);
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Attendance');
+      sheet.addRow(header).font = { bold: true };
+      rows.forEach(row => sheet.addRow(row));
+      sheet.views = [{ state: 'frozen', xSplit: 3, ySplit: 1 }];
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+      res.send(Buffer.from(await workbook.xlsx.writeBuffer()));
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 
-  static async delete(req, res) {
-    try {
-      const students = await dataService.loadStudents();
-      const studentIndex = students.findIndex(s => s.id === req.params.id);
-      
-      if (studentIndex === -1) return res.status(404).json({ error: 'Student not found' });
+  static buildMatrix({ students, records: recordsByStudent, classes, statuses, includeHash }) {
+    const sorted = students.slice().sort((a, b) =>
+      a.classId.localeCompare(b.classId) || a.rollNo.localeCompare(b.rollNo)
+    );
 
-      const student = students[studentIndex];
-      const blockchain = Blockchain.fromJSON(student.blockchain);
-      
-      blockchain.addBlock({
-        type: 'delete',
-        status: 'deleted',
-        name: student.name,
-        rollNo: student.rollNo,
-        timestamp: Date.now()
+    const dates = Array.from(new Set(
+      Array.from(recordsByStudent.values()).flat().map(record => record.date)
+    )).sort();
+
+    const header = ['Roll No', 'Name', 'Class'];
+    dates.forEach(date => {
+      header.push(date);
+      if (includeHash) header.push(`${date} hash`);
+    });
+    header.push('Attended', 'Total', 'Percentage');
+
+    const rows = sorted.map(student => {
+      const records = recordsByStudent.get(student.id);
+      const cls = classes.find(c => c.id === student.classId);
+      const row = [student.rollNo, student.name, cls ? cls.name : student.classId];
+
+      dates.forEach(date => {
+        const onDate = records.filter(record => record.date === date);
+        row.push(onDate.map(record => ExportController.abbreviate(statuses, record.status)).join('/'));
+        if (includeHash) row.push(onDate.map(record => record.block.hash).join(' '));
       });
 
-      student.deleted = true;
-      student.blockchain = blockchain.toJSON();
-      student.deletedAt = Date.now();
+      const { attended, total, percentage } = ReportController.summarize(records, statuses);
+      row.push(attended, total, percentage === null ? '' : percentage);
+      return row;
+    });
 
-      await dataService.saveStudents(students);
-      res.json(student);
+    return { header, rows };
+  }
+
+  static abbreviate(statuses, code) {
+    const status = statuses.find(s => s.code === code);
+    return status ? status.abbreviation : code;
+  }
+
+  static csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+}
+
+// Event Controller
+class EventController {
+  // EventSource cannot send headers, so the stream takes the session token
+  // from the query string instead
+  static acceptQueryToken(req, res, next) {
+    if (req.query.token && !req.headers.authorization) {
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+  }
+
+  static async stream(req, res) {
+    try {
+      await EventService.subscribe(req, res);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 }
 
-// Attendance Controller
-class AttendanceController {
-  static async markAttendance(req, res) {
+// Peer Controller
+// Admins manage peers with their session token; nodes call /api/sync and
+// /api/peers/register with the shared PEER_SECRET instead.
+class PeerController {
+  static authenticate(req, res, next) {
+    if (!ReplicationService.enabled()) {
+      return sendError(res, 403, 'Replication is not enabled on this node');
+    }
+
+    const given = Buffer.from(req.get('X-Peer-Secret') || '');
+    const expected = Buffer.from(PEER_SECRET);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return sendError(res, 401, 'Invalid peer secret');
+    }
+    next();
+  }
+
+  static async getAll(req, res) {
     try {
-      const { studentId, status } = req.body;
-      if (!studentId || !status) {
-        return res.status(400).json({ error: 'Student ID and status are required' });
-      }
+      const peers = await dataService.loadPeers();
+      res.json({ node: NODE_URL, enabled: ReplicationService.enabled(), peers: peers.map(ReplicationService.describe) });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
 
-      const students = await dataService.loadStudents();
-      const studentIndex = students.findIndex(s => s.id === studentId);
-      
-      if (studentIndex === -1) return res.status(404).json({ error: 'Student not found' });
+  // Adds a peer, asks it to add this node back, and pulls its data
+  static async create(req, res) {
+    try {
+      if (!ReplicationService.enabled()) {
+        return sendError(res, 400, 'Set PEER_SECRET to enable replication');
+      }
+      const url = ReplicationService.normalizeUrl(req.body.url);
+      if (!/^https?:\/\/\S+$/.test(url)) return sendFieldErrors(res, { url: 'Peer URL must look like http://host:5000' });
+      if (url === NODE_URL) return sendFieldErrors(res, { url: 'A node cannot peer with itself' });
 
-      const student = students[studentIndex];
-      const blockchain = Blockchain.fromJSON(student.blockchain);
+      const peer = await ReplicationService.addPeer(url);
+      try {
+        await ReplicationService.request(peer, '/api/peers/register', { method: 'POST', body: { url: NODE_URL } });
+        const sync = await ReplicationService.pull(peer);
+        res.status(201).json({ peer: ReplicationService.describe(peer), sync });
+      } catch (error) {
+        res.status(201).json({ peer: ReplicationService.describe(peer), sync: null, warning: `Peer added but not reachable: ${error.message}` });
+      }
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
 
-      const attendanceRecord = {
-        type: 'attendance',
-        studentId: student.id,
-        studentName: student.name,
-        rollNo: student.rollNo,
-        deptId: student.deptId,
-        classId: student.classId,
-        status: status,
-        date: new Date().toISOString().split('T')[0],
-        timestamp: Date.now()
-      };
+  static async delete(req, res) {
+    try {
+      const peer = await ReplicationService.removePeer(req.params.id);
+      if (!peer) return sendError(res, 404, 'Peer not found');
+      res.json(peer);
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
 
-      const block = blockchain.addBlock(attendanceRecord);
-      student.blockchain = blockchain.toJSON();
+  static async register(req, res) {
+    try {
+      const url = ReplicationService.normalizeUrl(req.body.url);
+      if (!/^https?:\/\/\S+$/.test(url)) return sendFieldErrors(res, { url: 'Peer URL must look like http://host:5000' });
+      if (url === NODE_URL) return sendFieldErrors(res, { url: 'A node cannot peer with itself' });
 
-      await dataService.saveStudents(students);
-      res.status(201).json({ block, student });
+      res.status(201).json(await ReplicationService.addPeer(url));
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 
-  static async getStudentAttendance(req, res) {
+  static async syncNow(req, res) {
     try {
-      const students = await dataService.loadStudents();
-      const student = students.find(s => s.id === req.params.studentId);
-      
-      if (!student) return res.status(404).json({ error: 'Student not found' });
+      if (!ReplicationService.enabled()) {
+        return sendError(res, 400, 'Set PEER_SECRET to enable replication');
+      }
+      res.json({ results: await ReplicationService.syncAll() });
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
 
-      const blockchain = Blockchain.fromJSON(student.blockchain);
-      const attendanceBlocks = blockchain.chain.filter(
-        block => block.transactions.type === 'attendance'
-      );
+  static async snapshot(req, res) {
+    try {
+      res.json(await ReplicationService.snapshot());
+    } catch (error) {
+      sendError(res, 500, error.message);
+    }
+  }
 
-      res.json(attendanceBlocks);
+  static async receive(req, res) {
+    try {
+      res.json(await ReplicationService.merge(req.body || {}));
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
     }
   }
 }
@@ -663,52 +3963,213 @@ class ValidationController {
       const departments = await dataService.loadDepartments();
       const classes = await dataService.loadClasses();
       const students = await dataService.loadStudents();
+      const publicKeys = await KeyService.registry();
+      // Teachers get the results for their own classes only. Anchors are still
+      // checked against every parent.
+      const deptIds = req.user.role === 'admin' ? null : await AuthController.visibleDeptIds(req.user);
 
       const results = {
         departments: [],
         classes: [],
         students: [],
-        overall: true
+        overall: true,
+        legacyChains: 0,
+        legacyUnsignedBlocks: 0
       };
 
       // Validate departments
-      for (const dept of departments) {
-        const blockchain = Blockchain.fromJSON(dept.blockchain);
-        const valid = blockchain.isValid();
-        results.departments.push({ id: dept.id, name: dept.name, valid });
+      for (const dept of departments.filter(d => !deptIds || deptIds.includes(d.id))) {
+        const blockchain = Blockchain.fromJSON(dept.blockchain, dept.id);
+        const { valid, errors, legacyUnsigned } = blockchain.validate(publicKeys);
+        results.legacyUnsignedBlocks += legacyUnsigned.length;
+        results.departments.push({ id: dept.id, name: dept.name, valid, errors });
         if (!valid) results.overall = false;
+        if (BlockUpgradeService.needsUpgrade(blockchain)) results.legacyChains++;
       }
 
       // Validate classes
-      for (const cls of classes) {
+      for (const cls of classes.filter(c => AuthController.canAccessClass(req.user, c.id))) {
         const dept = departments.find(d => d.id === cls.deptId);
-        const blockchain = Blockchain.fromJSON(cls.blockchain);
-        const deptBlockchain = Blockchain.fromJSON(dept.blockchain);
-        
-        const valid = blockchain.isValid() && 
-                     blockchain.chain[0].prev_hash === deptBlockchain.getLatestBlock().hash;
-        
-        results.classes.push({ id: cls.id, name: cls.name, valid });
+        const blockchain = Blockchain.fromJSON(cls.blockchain, cls.id);
+
+        const { errors, legacyUnsigned } = blockchain.validate(publicKeys);
+        results.legacyUnsignedBlocks += legacyUnsigned.length;
+        const anchorError = dept
+          ? ValidationController.checkAnchor(blockchain, Blockchain.fromJSON(dept.blockchain), 'department')
+          : ValidationController.missingParent(blockchain.chain[0], 'department', cls.deptId);
+        if (anchorError) errors.push(anchorError);
+        const migrationError = dept &&
+          ValidationController.checkMigrationAnchor(blockchain, Blockchain.fromJSON(dept.blockchain), 'department');
+        if (migrationError) errors.push(migrationError);
+        if (BlockUpgradeService.needsUpgrade(blockchain)) results.legacyChains++;
+
+        const valid = errors.length === 0;
+        results.classes.push({ id: cls.id, name: cls.name, deptId: cls.deptId, valid, errors });
         if (!valid) results.overall = false;
       }
 
       // Validate students
-      for (const student of students) {
-        const cls = classes.find(c => c.id === student.classId);
-        const blockchain = Blockchain.fromJSON(student.blockchain);
-        const classBlockchain = Blockchain.fromJSON(cls.blockchain);
-        
-        const valid = blockchain.isValid() && 
-                     blockchain.chain[0].prev_hash === classBlockchain.getLatestBlock().hash;
-        
-        results.students.push({ id: student.id, name: student.name, valid });
+      for (const student of students.filter(s => AuthController.canAccessStudent(req.user, s))) {
+        const blockchain = Blockchain.fromJSON(student.blockchain, student.id);
+
+        const { errors, legacyUnsigned } = blockchain.validate(publicKeys);
+        results.legacyUnsignedBlocks += legacyUnsigned.length;
+        errors.push(...ValidationController.checkClassAnchors(student, blockchain, classes));
+        if (BlockUpgradeService.needsUpgrade(blockchain)) results.legacyChains++;
+
+        const valid = errors.length === 0;
+        results.students.push({
+          id: student.id,
+          name: student.name,
+          rollNo: student.rollNo,
+          classId: student.classId,
+          valid,
+          errors
+        });
         if (!valid) results.overall = false;
       }
 
+      if (!results.overall) EventService.publishValidationFailure(results, req.user.username);
       res.json(results);
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      sendError(res, 500, error.message);
+    }
+  }
+
+  // Checks the genesis block against the parent block it was anchored to, so
+  // later updates on the parent chain do not invalidate its children. Chains
+  // created before anchors were recorded may link to any parent block.
+  static checkAnchor(blockchain, parentBlockchain, parentType) {
+    const genesis = blockchain.chain[0];
+    const anchor = genesis.transactions.anchor;
+
+    let message = null;
+    if (anchor) {
+      const parentBlock = parentBlockchain.chain[anchor.blockIndex];
+      if (!parentBlock) {
+        message = `Anchored ${parentType} block #${anchor.blockIndex} does not exist`;
+      } else if (parentBlock.hash !== anchor.hash || genesis.prev_hash !== anchor.hash) {
+        message = `Genesis block does not match anchored ${parentType} block #${anchor.blockIndex}`;
+      }
+    } else if (!parentBlockchain.chain.some(block => block.hash === genesis.prev_hash)) {
+      message = `Genesis block is not anchored to any block of the ${parentType} chain`;
+    }
+
+    if (!message) return null;
+
+    return {
+      blockIndex: 0,
+      reason: 'broken_anchor',
+      message,
+      block: genesis
+    };
+  }
+
+  // A migration block that re-anchored the chain must still match the parent
+  // block it names. Only blocks from index `from` up to `to` are searched.
+  static checkMigrationAnchor(blockchain, parentBlockchain, parentType, from = 0, to = blockchain.chain.length) {
+    const block = blockchain.chain
+      .slice(from, to)
+      .find(b => b.transactions.type === 'migration' && b.transactions.anchor);
+    if (!block) return null;
+
+    const { anchor } = block.transactions;
+    const parentBlock = parentBlockchain.chain[anchor.blockIndex];
+    if (parentBlock && parentBlock.hash === anchor.hash) return null;
+
+    return {
+      blockIndex: block.index,
+      reason: 'broken_anchor',
+      message: `Migration block does not match anchored ${parentType} block #${anchor.blockIndex}`,
+      block
+    };
+  }
+
+  // Splits a student's chain into the periods spent in each class. The first
+  // period starts at the genesis block; every transfer_out block starts the
+  // next one in the class it names.
+  static classPeriods(student, blockchain) {
+    const transfers = blockchain.chain.filter(block => block.transactions.type === 'transfer_out');
+    const periods = [{
+      classId: transfers.length > 0 ? transfers[0].transactions.fromClassId : student.classId,
+      from: 0,
+      block: blockchain.chain[0]
+    }];
+    transfers.forEach(block => periods.push({ classId: block.transactions.toClassId, from: block.index, block }));
+    return periods.map((period, i) => ({ ...period, to: i + 1 < periods.length ? periods[i + 1].from : blockchain.chain.length }));
+  }
+
+  // Checks every period of a student's chain against the class it was spent
+  // in, and that the chain ends in the class the record names
+  static checkClassAnchors(student, blockchain, classes) {
+    const errors = [];
+    const periods = ValidationController.classPeriods(student, blockchain);
+
+    periods.forEach((period, i) => {
+      const cls = classes.find(c => c.id === period.classId);
+      if (!cls) {
+        errors.push(ValidationController.missingParent(period.block, 'class', period.classId));
+        return;
+      }
+
+      const classBlockchain = Blockchain.fromJSON(cls.blockchain);
+      const anchorError = i === 0
+        ? ValidationController.checkAnchor(blockchain, classBlockchain, 'class')
+        : ValidationController.checkTransferAnchor(student, period.block, periods[i - 1].classId, classBlockchain);
+      if (anchorError) errors.push(anchorError);
+
+      const migrationError =
+        ValidationController.checkMigrationAnchor(blockchain, classBlockchain, 'class', period.from, period.to);
+      if (migrationError) errors.push(migrationError);
+    });
+
+    const current = periods[periods.length - 1];
+    if (current.classId !== student.classId) {
+      errors.push({
+        blockIndex: current.block.index,
+        reason: 'wrong_class',
+        message: `Chain places the student in class ${current.classId}, not ${student.classId}`,
+        block: current.block
+      });
+    }
+
+    return errors;
+  }
+
+  // A transfer_out block must leave the class of the period before it and
+  // match the transfer_in block it anchors to on the destination class chain
+  static checkTransferAnchor(student, block, previousClassId, classBlockchain) {
+    const { fromClassId, anchor } = block.transactions;
+
+    let message = null;
+    if (fromClassId !== previousClassId) {
+      message = `Transfer leaves class ${fromClassId}, but the student was in ${previousClassId}`;
+    } else {
+      const classBlock = anchor && classBlockchain.chain[anchor.blockIndex];
+      if (!classBlock || classBlock.hash !== anchor.hash) {
+        message = `Transfer block does not match anchored class block #${anchor ? anchor.blockIndex : '?'}`;
+      } else if (classBlock.transactions.type !== 'transfer_in' || classBlock.transactions.studentId !== student.id) {
+        message = `Class block #${anchor.blockIndex} does not record this transfer`;
+      }
     }
+
+    if (!message) return null;
+
+    return {
+      blockIndex: block.index,
+      reason: 'broken_anchor',
+      message,
+      block
+    };
+  }
+
+  static missingParent(block, parentType, parentId) {
+    return {
+      blockIndex: block.index,
+      reason: 'broken_anchor',
+      message: `Parent ${parentType} ${parentId} not found`,
+      block
+    };
   }
 }
 
@@ -716,41 +4177,162 @@ class ValidationController {
 // ROUTES
 // ============================================
 
+// Mutating routes hold the locks of the collections they write
+const locks = LockService.hold;
+const hierarchy = ['departments', 'classes', 'students'];
+
+// Request bodies and query strings are checked against SCHEMAS
+const checkBody = RequestSchema.body;
+const checkQuery = RequestSchema.query;
+
+// Auth Routes
+app.post('/api/auth/login', checkBody(SCHEMAS.login), locks('users', 'keys'), AuthController.login);
+
+// Health Check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'OK', message: 'BAMS Backend is running' });
+});
+
+// Node-to-node replication (authenticated with PEER_SECRET)
+app.get('/api/sync', PeerController.authenticate, PeerController.snapshot);
+app.post('/api/sync', PeerController.authenticate, checkBody(SCHEMAS.sync), locks(...REPLICATED), PeerController.receive);
+app.post('/api/peers/register', PeerController.authenticate, checkBody(SCHEMAS.peer), PeerController.register);
+
+// Live updates (Server-Sent Events)
+app.get('/api/events', checkQuery(SCHEMAS.events), EventController.acceptQueryToken, AuthController.authenticate, EventController.stream);
+
+// Everything below requires a signed-in user
+app.use('/api', AuthController.authenticate);
+const adminOnly = AuthController.authorize('admin');
+const staffOnly = AuthController.authorize('admin', 'teacher');
+const signed = AuthController.requireSigningKey;
+
+app.get('/api/auth/me', AuthController.me);
+
+// User Routes
+app.get('/api/users', adminOnly, UserController.getAll);
+app.post('/api/users', adminOnly, checkBody(SCHEMAS.createUser), locks('users'), UserController.create);
+app.put('/api/users/:id', adminOnly, checkBody(SCHEMAS.updateUser), locks('users', 'keys'), UserController.update);
+app.delete('/api/users/:id', adminOnly, locks('users', 'keys'), UserController.delete);
+
 // Department Routes
-app.get('/api/departments', DepartmentController.getAll);
+app.get('/api/departments', checkQuery(SCHEMAS.listQuery), DepartmentController.getAll);
 app.get('/api/departments/:id', DepartmentController.getById);
-app.post('/api/departments', DepartmentController.create);
-app.put('/api/departments/:id', DepartmentController.update);
-app.delete('/api/departments/:id', DepartmentController.delete);
+app.post('/api/departments', adminOnly, checkBody(SCHEMAS.department), locks('departments'), DepartmentController.create);
+app.put('/api/departments/:id', adminOnly, signed, checkBody(SCHEMAS.department), locks('departments'), DepartmentController.update);
+app.delete('/api/departments/:id', adminOnly, signed, locks(...hierarchy), DepartmentController.delete);
+app.post('/api/departments/:id/restore', adminOnly, signed, locks(...hierarchy), DepartmentController.restore);
 
 // Class Routes
-app.get('/api/classes', ClassController.getAll);
+app.get('/api/classes', checkQuery(SCHEMAS.classQuery), ClassController.getAll);
 app.get('/api/classes/:id', ClassController.getById);
-app.post('/api/classes', ClassController.create);
-app.put('/api/classes/:id', ClassController.update);
-app.delete('/api/classes/:id', ClassController.delete);
+app.post('/api/classes', adminOnly, checkBody(SCHEMAS.createClass), locks('classes'), ClassController.create);
+app.put('/api/classes/:id', adminOnly, signed, checkBody(SCHEMAS.updateClass), locks('classes'), ClassController.update);
+app.delete('/api/classes/:id', adminOnly, signed, locks('classes', 'students'), ClassController.delete);
+app.post('/api/classes/:id/restore', adminOnly, signed, locks('classes', 'students'), ClassController.restore);
 
 // Student Routes
-app.get('/api/students', StudentController.getAll);
+app.get('/api/students', checkQuery(SCHEMAS.studentQuery), StudentController.getAll);
 app.get('/api/students/:id', StudentController.getById);
-app.post('/api/students', StudentController.create);
-app.put('/api/students/:id', StudentController.update);
-app.delete('/api/students/:id', StudentController.delete);
+app.post('/api/students', adminOnly, checkBody(SCHEMAS.createStudent), locks('students'), StudentController.create);
+app.put('/api/students/:id', adminOnly, signed, checkBody(SCHEMAS.updateStudent), locks('students'), StudentController.update);
+app.delete('/api/students/:id', adminOnly, signed, locks('students'), StudentController.delete);
+app.post('/api/students/:id/restore', adminOnly, signed, locks('students'), StudentController.restore);
+app.post('/api/students/:id/transfer', adminOnly, signed, checkBody(SCHEMAS.transferStudent), locks('classes', 'students'), StudentController.transfer);
+
+// Session Routes
+app.get('/api/sessions', checkQuery(SCHEMAS.sessionQuery), SessionController.getAll);
+app.post('/api/sessions', adminOnly, signed, checkBody(SCHEMAS.createSession), locks('classes', 'sessions'), SessionController.create);
+app.put('/api/sessions/:id', adminOnly, signed, checkBody(SCHEMAS.updateSession), locks('classes', 'sessions'), SessionController.update);
+app.delete('/api/sessions/:id', adminOnly, signed, locks('classes', 'sessions'), SessionController.delete);
 
 // Attendance Routes
-app.post('/api/attendance', AttendanceController.markAttendance);
+app.post('/api/attendance', staffOnly, signed, checkBody(SCHEMAS.markAttendance), locks('students'), AttendanceController.markAttendance);
+app.post('/api/attendance/bulk', staffOnly, signed, checkBody(SCHEMAS.bulkAttendance), locks('students'), AttendanceController.markBulkAttendance);
+app.post('/api/attendance/corrections', staffOnly, signed, checkBody(SCHEMAS.correctAttendance), locks('students'), AttendanceController.correctAttendance);
 app.get('/api/attendance/:studentId', AttendanceController.getStudentAttendance);
 
+// Status Routes
+app.get('/api/statuses', StatusController.getAll);
+app.put('/api/statuses', adminOnly, checkBody(SCHEMAS.statuses), locks('statuses'), StatusController.update);
+
+// Import Routes
+app.post('/api/import/students', adminOnly, checkQuery(SCHEMAS.importQuery), locks('students'), ImportController.importStudents);
+
+// Report Routes
+app.get('/api/reports/students/:id', checkQuery(SCHEMAS.rangeQuery), ReportController.studentReport);
+app.get('/api/reports/classes/:id', staffOnly, checkQuery(SCHEMAS.rangeQuery), ReportController.classReport);
+app.get('/api/reports/departments/:id', adminOnly, checkQuery(SCHEMAS.rangeQuery), ReportController.departmentReport);
+app.get('/api/reports/defaulters', staffOnly, checkQuery(SCHEMAS.scopeQuery), ReportController.defaulters);
+app.get('/api/reports/register/:id', staffOnly, checkQuery(SCHEMAS.registerQuery), ReportController.classRegister);
+
+// Export Routes
+app.get('/api/export/attendance', staffOnly, checkQuery(SCHEMAS.exportQuery), ExportController.exportAttendance);
+
 // Validation Routes
-app.get('/api/validate', ValidationController.validateAll);
+app.get('/api/validate', staffOnly, ValidationController.validateAll);
 
-// Health Check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'BAMS Backend is running' });
+// Peer Routes
+app.get('/api/peers', adminOnly, PeerController.getAll);
+app.post('/api/peers', adminOnly, checkBody(SCHEMAS.peer), PeerController.create);
+app.post('/api/peers/sync', adminOnly, PeerController.syncNow);
+app.delete('/api/peers/:id', adminOnly, PeerController.delete);
+
+// Config
+app.get('/api/config', (req, res) => {
+  res.json({
+    backdateWindowDays: BACKDATE_WINDOW_DAYS,
+    minAttendancePercent: MIN_ATTENDANCE_PERCENT
+  });
+});
+
+// Unknown API routes, and bodies the JSON parser rejected
+app.use('/api', (req, res) => sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`));
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') return sendError(res, 413, 'Request body is too large');
+  sendError(res, 500, error.message);
 });
 
 // Start Server
-app.listen(PORT, () => {
-  console.log(`🚀 BAMS Backend running on port ${PORT}`);
-  console.log(`📊 API available at http://localhost:${PORT}/api`);
-});
\ No newline at end of file
+// `node server.js migrate <from> <to>` copies all data between storage
+// backends instead of starting the server
+if (process.argv[2] === 'upgrade-blocks') {
+  console.log('📦 Upgrading legacy chains to v2 blocks');
+  dataService.open()
+    .then(() => BlockUpgradeService.run())
+    .then(counts => {
+      Object.entries(counts).forEach(([collection, count]) => console.log(`  ${collection}: ${count}`));
+      console.log('✅ Upgrade complete');
+    })
+    .catch(error => {
+      console.error(`❌ Upgrade failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+} else if (process.argv[2] === 'migrate') {
+  const [from, to] = process.argv.slice(3);
+  console.log(`📦 Migrating data from ${from} to ${to}`);
+  DataService.migrate(from, to)
+    .then(() => console.log('✅ Migration complete'))
+    .catch(error => {
+      console.error(`❌ Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+} else {
+  dataService.init()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`🚀 BAMS Backend running on port ${PORT} (${STORAGE} storage)`);
+        console.log(`📊 API available at http://localhost:${PORT}/api`);
+        if (ReplicationService.enabled()) console.log(`🔗 Replicating as ${NODE_URL}`);
+        ReplicationService.start().catch(error => console.error(`⚠️  Replication failed to start: ${error.message}`));
+      });
+    })
+    .catch(error => {
+      console.error(`❌ Not starting: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
\ No newline at end of file